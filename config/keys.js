@@ -23,4 +23,11 @@ module.exports = {
   openaiApiKey: process.env.OPENAI_API_KEY,
   vectorDbEndpoint: process.env.VECTOR_DB_ENDPOINT,
   redisClusterNodes,
+  maxPinnedMessages: parseInt(process.env.MAX_PINNED_MESSAGES, 10) || 10,
+  maxReactionsPerMessage: parseInt(process.env.MAX_REACTIONS_PER_MESSAGE, 10) || 20,
+  // 링크 미리보기에서 내부망 차단을 건너뛸 호스트 (로컬 스텁 서버 테스트용, 쉼표 구분)
+  linkPreviewAllowedHosts: (process.env.LINK_PREVIEW_ALLOWED_HOSTS || '')
+    .split(',')
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean),
 };
\ No newline at end of file
@@ -3,7 +3,7 @@
 const File = require('../models/File');
 const Message = require('../models/Message');
 const Room = require('../models/Room');
-const { S3Client, HeadObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, HeadObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
 const { Upload } = require('@aws-sdk/lib-storage');
 const path = require('path');
 const crypto = require('crypto');
@@ -278,15 +278,7 @@ exports.deleteFile = async (req, res) => {
       });
     }
 
-    const deleteParams = {
-      Bucket: process.env.S3_BUCKET_NAME,
-      Key: file.filename
-    };
-    
-    // S3에서 파일 삭제
-    await s3.send(new DeleteObjectCommand(deleteParams));
-
-    // MongoDB에서 파일 레코드 삭제
+    // MongoDB에서 파일 레코드 삭제 (S3 객체는 FileSchema deleteOne 후크에서 삭제)
     await file.deleteOne();
 
     res.json({
@@ -0,0 +1,149 @@
+// backend/controllers/messageController.js
+
+const Room = require('../models/Room');
+const MessageService = require('../services/messageService');
+
+// 서비스 에러(status 포함)는 그대로, 그 외는 500으로 응답
+const handleMessageError = (error, res, fallbackMessage) => {
+  console.error('메시지 API 오류:', {
+    message: error.message,
+    stack: error.stack
+  });
+
+  res.status(error.status || 500).json({
+    success: false,
+    error: {
+      message: error.status ? error.message : fallbackMessage,
+      code: error.code || 'MESSAGE_API_ERROR'
+    }
+  });
+};
+
+const sendSearchResult = (res, { results, hasMore, nextCursor }) => {
+  res.json({
+    success: true,
+    data: results,
+    metadata: {
+      hasMore,
+      nextCursor,
+      currentCount: results.length
+    }
+  });
+};
+
+// 텍스트 트랜스크립트 한 줄 포맷
+const formatTranscriptLine = (message) => {
+  const time = new Date(message.timestamp).toISOString();
+  const author = message.type === 'ai'
+    ? message.aiType
+    : message.type === 'system'
+      ? 'system'
+      : message.sender?.name || '알 수 없음';
+  const body = message.type === 'file'
+    ? `[파일] ${message.file?.originalname || ''} ${message.content || ''}`.trim()
+    : message.content;
+
+  return `[${time}] ${author}: ${body}`;
+};
+
+// 채팅방 메시지 히스토리 조회 (before/after/around 메시지 ID 또는 beforeSeq/afterSeq 순번 커서)
+exports.loadMessages = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { before, after, around, beforeSeq, afterSeq, limit } = req.query;
+
+    if ([before, after, around, beforeSeq, afterSeq].filter(Boolean).length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'before, after, around, beforeSeq, afterSeq 중 하나만 사용할 수 있습니다.'
+      });
+    }
+
+    const room = await Room.findOne({
+      _id: roomId,
+      participants: req.user.id
+    }).select('_id').lean();
+
+    if (!room) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅방 접근 권한이 없습니다.'
+      });
+    }
+
+    const { messages, hasMoreBefore, hasMoreAfter } = await MessageService.getMessageHistory(
+      roomId,
+      { before, after, around, beforeSeq, afterSeq, limit }
+    );
+
+    const metadata = {
+      hasMoreBefore,
+      hasMoreAfter,
+      oldestMessageId: messages[0]?._id || null,
+      newestMessageId: messages[messages.length - 1]?._id || null,
+      oldestSeq: messages[0]?.seq ?? null,
+      newestSeq: messages[messages.length - 1]?.seq ?? null,
+      currentCount: messages.length
+    };
+
+    res.set('Cache-Control', 'private, no-cache');
+    res.format({
+      'application/json': () => {
+        res.json({ success: true, data: messages, metadata });
+      },
+      'application/x-ndjson': () => {
+        res.send(messages.map((message) => JSON.stringify(message)).join('\n') + '\n');
+      },
+      'text/plain': () => {
+        res.send(messages.map(formatTranscriptLine).join('\n'));
+      },
+      default: () => {
+        res.status(406).json({
+          success: false,
+          message: '지원하지 않는 응답 형식입니다.'
+        });
+      }
+    });
+  } catch (error) {
+    handleMessageError(error, res, '메시지를 불러오는 중 오류가 발생했습니다.');
+  }
+};
+
+// 특정 채팅방 메시지 검색
+exports.searchRoomMessages = async (req, res) => {
+  try {
+    const room = await Room.findOne({
+      _id: req.params.roomId,
+      participants: req.user.id
+    }).select('_id').lean();
+
+    if (!room) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅방 접근 권한이 없습니다.'
+      });
+    }
+
+    const result = await MessageService.searchMessages([req.params.roomId], req.query);
+    sendSearchResult(res, result);
+  } catch (error) {
+    handleMessageError(error, res, '메시지 검색 중 오류가 발생했습니다.');
+  }
+};
+
+// 참여 중인 모든 채팅방 메시지 검색
+exports.searchMessages = async (req, res) => {
+  try {
+    const rooms = await Room.find({ participants: req.user.id }).select('_id').lean();
+    const roomIds = rooms.map((room) => room._id.toString());
+
+    if (roomIds.length === 0) {
+      return sendSearchResult(res, { results: [], hasMore: false, nextCursor: null });
+    }
+
+    const result = await MessageService.searchMessages(roomIds, req.query);
+    sendSearchResult(res, result);
+  } catch (error) {
+    handleMessageError(error, res, '메시지 검색 중 오류가 발생했습니다.');
+  }
+};
@@ -1,5 +1,9 @@
 const bcrypt = require("bcryptjs");
 const User = require("../models/User");
+const Message = require("../models/Message");
+const Room = require("../models/Room");
+const PresenceService = require("../services/presenceService");
+const mongoose = require("mongoose");
 const { upload } = require("../middleware/upload");
 const crypto = require("crypto");
 const { S3Client, DeleteObjectCommand } = require("@aws-sdk/client-s3");
@@ -95,6 +99,78 @@ exports.getProfile = async (req, res) => {
   }
 };
 
+// 나를 멘션한 메시지 목록 조회
+exports.getMentions = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 30), 50);
+    const query = { mentions: req.user.id, isDeleted: { $ne: true } };
+    if (req.query.before) {
+      query.timestamp = { $lt: new Date(req.query.before) };
+    }
+
+    const messages = await Message.find(query)
+      .populate("sender", "name email profileImage")
+      .select("room sender content type parentMessage timestamp")
+      .sort({ timestamp: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = messages.length > limit;
+    const resultMessages = messages.slice(0, limit);
+
+    const roomIds = [...new Set(resultMessages.map((msg) => msg.room))];
+    const rooms = await Room.find({ _id: { $in: roomIds } }).select("name").lean();
+    const roomNames = new Map(rooms.map((room) => [room._id.toString(), room.name]));
+
+    res.json({
+      success: true,
+      mentions: resultMessages.map((msg) => ({
+        ...msg,
+        roomName: roomNames.get(msg.room) || null,
+      })),
+      hasMore,
+      oldestTimestamp: resultMessages[resultMessages.length - 1]?.timestamp || null,
+    });
+  } catch (error) {
+    console.error("Get mentions error:", error);
+    res.status(500).json({ success: false, message: "멘션 목록 조회 중 오류가 발생했습니다." });
+  }
+};
+
+// 사용자 접속 상태 일괄 조회
+exports.getPresence = async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || "").split(",").map((id) => id.trim()))]
+      .filter((id) => mongoose.Types.ObjectId.isValid(id));
+
+    if (ids.length === 0) {
+      return res.status(400).json({ success: false, message: "조회할 사용자 ID를 입력해주세요." });
+    }
+    if (ids.length > 100) {
+      return res.status(400).json({ success: false, message: "한 번에 최대 100명까지 조회할 수 있습니다." });
+    }
+
+    const presences = await PresenceService.getBatchPresence(ids);
+
+    // offline 사용자는 마지막 활동 시간을 DB에서 보완
+    const offlineIds = presences.filter((p) => p.status === "offline" && !p.lastSeen).map((p) => p.userId);
+    if (offlineIds.length > 0) {
+      const users = await User.find({ _id: { $in: offlineIds } }).select("lastActive").lean();
+      const lastActiveMap = new Map(users.map((user) => [user._id.toString(), user.lastActive]));
+      presences.forEach((presence) => {
+        if (lastActiveMap.has(presence.userId)) {
+          presence.lastSeen = lastActiveMap.get(presence.userId);
+        }
+      });
+    }
+
+    res.json({ success: true, presence: presences });
+  } catch (error) {
+    console.error("Get presence error:", error);
+    res.status(500).json({ success: false, message: "접속 상태 조회 중 오류가 발생했습니다." });
+  }
+};
+
 // 프로필 업데이트 (이름 및 비밀번호 변경)
 exports.updateProfile = async (req, res) => {
   try {
@@ -83,7 +83,8 @@ const FileSchema = new mongoose.Schema({
 // 복합 인덱스
 FileSchema.index({ filename: 1, user: 1 }, { unique: true });
 
-FileSchema.pre('remove', async function(next) {
+// 문서 단위 deleteOne 시 S3 객체 삭제 (mongoose 7에는 remove()가 없음)
+FileSchema.pre(['remove', 'deleteOne'], { document: true, query: false }, async function(next) {
   try {
     if (this.filename) {
       const deleteParams = {
@@ -1,4 +1,36 @@
 const mongoose = require("mongoose");
+const RoomSequence = require("./RoomSequence");
+const { renderMarkdown } = require("../utils/markdown");
+
+const HANGUL_RUN_REGEX = /[\uac00-\ud7a3\u3131-\u318e]+/g;
+
+function hideSearchFields(doc, ret) {
+  delete ret.searchNgrams;
+  return ret;
+}
+
+const PollOptionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, "선택지는 200자를 초과할 수 없습니다."],
+  },
+  // 익명 투표 보호를 위해 기본 조회에서 제외
+  voters: {
+    type: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    select: false,
+  },
+  voteCount: {
+    type: Number,
+    default: 0,
+  },
+});
 
 const MessageSchema = new mongoose.Schema(
   {
@@ -15,6 +47,15 @@ const MessageSchema = new mongoose.Schema(
       trim: true,
       maxlength: [10000, "메시지는 10000자를 초과할 수 없습니다."],
     },
+    // markdown이면 content를 서버에서 렌더링한 html을 함께 저장 (text, ai 메시지)
+    format: {
+      type: String,
+      enum: ["plain", "markdown"],
+      default: "plain",
+    },
+    html: {
+      type: String,
+    },
     sender: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -22,7 +63,7 @@ const MessageSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ["text", "system", "ai", "file"],
+      enum: ["text", "system", "ai", "file", "poll"],
       default: "text",
       index: true,
     },
@@ -50,10 +91,91 @@ const MessageSchema = new mongoose.Schema(
         return this.type === "ai";
       },
     },
+    // 투표 메시지 (질문은 content에 저장)
+    poll: {
+      type: new mongoose.Schema(
+        {
+          options: [PollOptionSchema],
+          // 중복 없이 센 투표 참여자 수 (복수 선택 투표 집계용)
+          voterCount: {
+            type: Number,
+            default: 0,
+          },
+          multipleChoice: {
+            type: Boolean,
+            default: false,
+          },
+          anonymous: {
+            type: Boolean,
+            default: false,
+          },
+          closesAt: {
+            type: Date,
+          },
+          closedAt: {
+            type: Date,
+            default: null,
+          },
+          closedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+        },
+        { _id: false }
+      ),
+      required: function () {
+        return this.type === "poll";
+      },
+    },
+    parentMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+      index: true,
+    },
+    replyCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastReplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    lastReplyAt: {
+      type: Date,
+    },
+    replyTo: {
+      message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Message",
+      },
+      sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      type: {
+        type: String,
+      },
+      aiType: {
+        type: String,
+      },
+      preview: {
+        type: String,
+      },
+    },
+    // 채팅방 내 단조 증가 순번 (같은 밀리초 메시지 정렬 및 누락 감지용)
+    seq: {
+      type: Number,
+    },
+    // 클라이언트가 낙관적 UI 갱신에 사용하는 임시 ID (보낸 사람 기준으로 중복 제거)
+    clientMessageId: {
+      type: String,
+    },
     mentions: [
       {
-        type: String,
-        trim: true,
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
       },
     ],
     timestamp: {
@@ -95,22 +217,70 @@ const MessageSchema = new mongoose.Schema(
       default: false,
       index: true,
     },
+    deletedAt: {
+      type: Date,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // 한글 검색용 2-gram (텍스트 인덱스가 한글 형태소를 나누지 못하는 문제 보완)
+    searchNgrams: {
+      type: [String],
+      select: false,
+    },
+    isEdited: {
+      type: Boolean,
+      default: false,
+    },
+    editedAt: {
+      type: Date,
+    },
+    // 이전 내용은 deleteMessages 권한이 있는 방장/운영자만 별도 API로 조회
+    editHistory: {
+      type: [
+        {
+          content: {
+            type: String,
+            required: true,
+          },
+          editedAt: {
+            type: Date,
+            default: Date.now,
+            required: true,
+          },
+        },
+      ],
+      select: false,
+    },
   },
   {
     timestamps: true,
     toJSON: {
       virtuals: true,
       getters: true,
+      transform: hideSearchFields,
     },
     toObject: {
       virtuals: true,
       getters: true,
+      transform: hideSearchFields,
     },
   }
 );
 
 // 복합 인덱스 설정
 MessageSchema.index({ room: 1, timestamp: -1 });
+MessageSchema.index({ content: "text" }, { default_language: "none" });
+MessageSchema.index({ searchNgrams: 1 });
+MessageSchema.index({ parentMessage: 1, timestamp: -1 });
+MessageSchema.index({ mentions: 1, timestamp: -1 });
+MessageSchema.index({ room: 1, updatedAt: 1 });
+// 타임라인 조회/정렬용 (쿼리에 seq 존재 조건을 포함해야 부분 인덱스가 사용됨)
+MessageSchema.index(
+  { room: 1, seq: 1 },
+  { unique: true, partialFilterExpression: { seq: { $exists: true } } }
+);
 // MessageSchema.index({ room: 1, isDeleted: 1 });
 // MessageSchema.index({ 'readers.userId': 1 });
 // MessageSchema.index({ sender: 1 });
@@ -118,6 +288,24 @@ MessageSchema.index({ room: 1, timestamp: -1 });
 // MessageSchema.index({ timestamp: -1 });
 // MessageSchema.index({ 'reactions.userId': 1 });
 
+// 한글 구간을 2-gram으로 분해 (한 글자 구간은 그대로 사용)
+MessageSchema.statics.toSearchNgrams = function (text) {
+  if (!text) return [];
+
+  const ngrams = new Set();
+  const runs = text.toLowerCase().match(HANGUL_RUN_REGEX) || [];
+  for (const run of runs) {
+    if (run.length === 1) {
+      ngrams.add(run);
+      continue;
+    }
+    for (let i = 0; i < run.length - 1; i++) {
+      ngrams.add(run.slice(i, i + 2));
+    }
+  }
+  return Array.from(ngrams);
+};
+
 // 읽음 처리 Static 메소드 개선
 MessageSchema.statics.markAsRead = async function (messageIds, userId) {
   if (!messageIds?.length || !userId) return;
@@ -153,25 +341,84 @@ MessageSchema.statics.markAsRead = async function (messageIds, userId) {
   }
 };
 
-// 리액션 처리 메소드 개선
-MessageSchema.methods.addReaction = async function (emoji, userId) {
-  try {
-    if (!this.reactions) {
-      this.reactions = new Map();
-    }
+// 스레드 답글 카운터 갱신
+MessageSchema.statics.registerThreadReply = async function (
+  parentId,
+  replierId,
+  delta = 1
+) {
+  const update = { $inc: { replyCount: delta } };
+  if (delta > 0) {
+    update.$set = { lastReplier: replierId, lastReplyAt: new Date() };
+  }
 
-    const userReactions = this.reactions.get(emoji) || [];
-    if (!userReactions.includes(userId)) {
-      userReactions.push(userId);
-      this.reactions.set(emoji, userReactions);
-      await this.save();
-    }
+  return this.findByIdAndUpdate(parentId, update, { new: true })
+    .select("room replyCount lastReplier lastReplyAt")
+    .populate("lastReplier", "name profileImage")
+    .lean();
+};
+
+// 투표 집계 (익명 투표는 투표자 목록을 포함하지 않음)
+MessageSchema.statics.getPollTally = function (message) {
+  const poll = message.poll || {};
+  const closesAt = poll.closesAt ? new Date(poll.closesAt) : null;
+  const includeVoters = !poll.anonymous;
+
+  const options = (poll.options || []).map((option) => ({
+    _id: option._id,
+    text: option.text,
+    voteCount: option.voteCount || 0,
+    ...(includeVoters && option.voters && { voters: option.voters }),
+  }));
 
-    return this.reactions.get(emoji);
+  return {
+    messageId: message._id,
+    room: message.room,
+    options,
+    multipleChoice: !!poll.multipleChoice,
+    anonymous: !!poll.anonymous,
+    totalVoters: poll.voterCount || 0,
+    closesAt,
+    closedAt: poll.closedAt || null,
+    isClosed: !!poll.closedAt || (!!closesAt && closesAt <= new Date()),
+  };
+};
+
+// 리액션 추가 ($addToSet으로 원자적으로 반영, 새 종류는 최대 개수 이내에서만 허용)
+MessageSchema.statics.addReaction = async function (
+  messageId,
+  emoji,
+  userId,
+  { maxDistinct } = {}
+) {
+  const reactionPath = `reactions.${emoji}`;
+  const filter = { _id: messageId, isDeleted: { $ne: true } };
+  if (maxDistinct) {
+    filter.$or = [
+      { [reactionPath]: { $exists: true } },
+      {
+        $expr: {
+          $lt: [
+            { $size: { $objectToArray: { $ifNull: ["$reactions", {}] } } },
+            maxDistinct,
+          ],
+        },
+      },
+    ];
+  }
+
+  try {
+    return await this.findOneAndUpdate(
+      filter,
+      { $addToSet: { [reactionPath]: userId } },
+      { new: true }
+    )
+      .select("room reactions")
+      .lean();
   } catch (error) {
     console.error("Add reaction error:", {
       error,
-      messageId: this._id,
+      messageId,
       emoji,
       userId,
     });
@@ -179,27 +426,38 @@ MessageSchema.methods.addReaction = async function (emoji, userId) {
   }
 };
 
-MessageSchema.methods.removeReaction = async function (emoji, userId) {
+// 리액션 제거 ($pull 후 비어 있는 리액션 키 정리)
+MessageSchema.statics.removeReaction = async function (
+  messageId,
+  emoji,
+  userId
+) {
+  const reactionPath = `reactions.${emoji}`;
+
   try {
-    if (!this.reactions || !this.reactions.has(emoji)) return;
+    const message = await this.findOneAndUpdate(
+      { _id: messageId, isDeleted: { $ne: true } },
+      { $pull: { [reactionPath]: userId } },
+      { new: true }
+    )
+      .select("room reactions")
+      .lean();
+    if (!message || message.reactions?.[emoji]?.length !== 0) return message;
 
-    const userReactions = this.reactions.get(emoji) || [];
-    const updatedReactions = userReactions.filter(
-      (id) => id.toString() !== userId.toString()
+    // 그사이 다른 사용자가 추가했다면 조건에 걸리지 않아 그대로 유지됨
+    return (
+      (await this.findOneAndUpdate(
+        { _id: messageId, [reactionPath]: { $size: 0 } },
+        { $unset: { [reactionPath]: "" } },
+        { new: true }
+      )
+        .select("room reactions")
+        .lean()) || message
     );
-
-    if (updatedReactions.length === 0) {
-      this.reactions.delete(emoji);
-    } else {
-      this.reactions.set(emoji, updatedReactions);
-    }
-
-    await this.save();
-    return this.reactions.get(emoji);
   } catch (error) {
     console.error("Remove reaction error:", {
       error,
-      messageId: this._id,
+      messageId,
       emoji,
       userId,
     });
@@ -208,11 +466,26 @@ MessageSchema.methods.removeReaction = async function (emoji, userId) {
 };
 
 // 메시지 소프트 삭제 메소드 추가
-MessageSchema.methods.softDelete = async function () {
+MessageSchema.methods.softDelete = async function (deletedBy) {
   this.isDeleted = true;
+  this.deletedAt = new Date();
+  if (deletedBy) this.deletedBy = deletedBy;
   await this.save();
 };
 
+// 메시지 수정 메소드 (이전 내용은 editHistory에 보관)
+MessageSchema.methods.editContent = async function (newContent) {
+  const editedAt = new Date();
+
+  this.editHistory.push({ content: this.content, editedAt });
+  this.content = newContent;
+  this.isEdited = true;
+  this.editedAt = editedAt;
+
+  await this.save();
+  return this;
+};
+
 // 메시지 삭제 전 후크 개선
 MessageSchema.pre("remove", async function (next) {
   try {
@@ -238,8 +511,19 @@ MessageSchema.pre("save", function (next) {
       this.content = this.content.trim();
     }
 
+    if (this.isModified("content")) {
+      this.searchNgrams = this.constructor.toSearchNgrams(this.content);
+    }
+
+    if (this.isModified("content") || this.isModified("format")) {
+      const renderable =
+        this.format === "markdown" && ["text", "ai"].includes(this.type);
+      this.html = renderable ? renderMarkdown(this.content) : undefined;
+    }
+
     if (this.mentions?.length) {
-      this.mentions = [...new Set(this.mentions)];
+      const uniqueIds = [...new Set(this.mentions.map((id) => id.toString()))];
+      this.mentions = uniqueIds;
     }
 
     next();
@@ -252,6 +536,13 @@ MessageSchema.pre("save", function (next) {
   }
 });
 
+// 새 메시지에 채팅방 순번 부여 (순번 도입 이전 메시지는 seq 없음)
+MessageSchema.pre("save", async function () {
+  if (this.isNew && this.seq == null && this.room) {
+    this.seq = await RoomSequence.next(this.room);
+  }
+});
+
 // JSON 변환 메소드 개선
 MessageSchema.methods.toJSON = function () {
   try {
@@ -1,6 +1,21 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// 채팅방 역할별 권한 (owner: 방장, moderator: 운영자, member: 일반 참여자)
+const ROOM_ROLES = ['owner', 'moderator', 'member'];
+const ROOM_PERMISSIONS = {
+  post: ['owner', 'moderator', 'member'],
+  pin: ['owner', 'moderator'],
+  kick: ['owner', 'moderator'],
+  ban: ['owner', 'moderator'],
+  editRoom: ['owner'],
+  deleteRoom: ['owner'],
+  invite: ['owner', 'moderator', 'member'],
+  mentionAI: ['owner', 'moderator', 'member'],
+  deleteMessages: ['owner', 'moderator'],
+  manageRoles: ['owner']
+};
+
 const RoomSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -12,6 +27,16 @@ const RoomSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // room: 공개 채팅방, dm: 1:1/소규모 그룹 DM (공개 목록에 노출되지 않음)
+  kind: {
+    type: String,
+    enum: ['room', 'dm'],
+    default: 'room'
+  },
+  // DM 참여자 ID를 정렬해 이은 키 (같은 참여자 조합의 DM은 하나만 존재)
+  dmKey: {
+    type: String
+  },
   hasPassword: {
     type: Boolean,
     default: false
@@ -27,6 +52,59 @@ const RoomSchema = new mongoose.Schema({
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  }],
+  // 운영자 (참여자 중 일부, 방장은 creator)
+  moderators: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // 차단 목록 (운영자만 조회하므로 기본 조회에서 제외, expiresAt이 없으면 영구 차단)
+  bans: {
+    type: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      bannedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: 200
+      },
+      expiresAt: {
+        type: Date,
+        default: null
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  // 허용된 리액션 목록 (비어 있으면 모든 이모지 허용)
+  allowedReactions: {
+    type: [String],
+    default: undefined
+  },
+  pinnedMessages: [{
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      required: true
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    pinnedAt: {
+      type: Date,
+      default: Date.now
+    }
   }]
 });
 
@@ -50,4 +128,61 @@ RoomSchema.methods.checkPassword = async function(password) {
   return await bcrypt.compare(password, room.password);
 };
 
+RoomSchema.statics.ROLES = ROOM_ROLES;
+RoomSchema.statics.PERMISSIONS = ROOM_PERMISSIONS;
+
+// 사용자의 방 역할 (참여자가 아니면 null, populate 여부와 무관)
+// DM은 방장 없이 모든 참여자가 동등하므로 kind를 함께 조회해야 함
+RoomSchema.statics.getMemberRole = function(room, userId) {
+  if (!room || !userId) return null;
+  const id = userId.toString();
+  const matches = (value) => (value?._id || value)?.toString() === id;
+
+  if (room.kind === 'dm') {
+    return (room.participants || []).some(matches) ? 'member' : null;
+  }
+  if (matches(room.creator)) return 'owner';
+  if (!(room.participants || []).some(matches)) return null;
+  if ((room.moderators || []).some(matches)) return 'moderator';
+  return 'member';
+};
+
+// 역할별 권한 목록 ({ post: true, pin: false, ... })
+RoomSchema.statics.getPermissions = function(role) {
+  return Object.fromEntries(
+    Object.entries(ROOM_PERMISSIONS).map(([permission, roles]) => [
+      permission,
+      !!role && roles.includes(role)
+    ])
+  );
+};
+
+// 현재 유효한 차단 정보 (room은 bans를 포함해 조회해야 함)
+RoomSchema.statics.getActiveBan = function(room, userId) {
+  if (!room?.bans || !userId) return null;
+  const now = new Date();
+  return room.bans.find((ban) =>
+    (ban.user?._id || ban.user)?.toString() === userId.toString() &&
+    (!ban.expiresAt || ban.expiresAt > now)
+  ) || null;
+};
+
+// 유효한 차단 조건 (입장 업데이트 필터에서 $not과 함께 사용)
+RoomSchema.statics.activeBanFilter = function(userId) {
+  return {
+    $elemMatch: {
+      user: userId,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }
+  };
+};
+
+RoomSchema.statics.hasPermission = function(room, userId, permission) {
+  const role = this.getMemberRole(room, userId);
+  return !!role && (ROOM_PERMISSIONS[permission] || []).includes(role);
+};
+
+RoomSchema.index({ dmKey: 1 }, { unique: true, partialFilterExpression: { kind: 'dm' } });
+RoomSchema.index({ kind: 1, participants: 1 });
+
 module.exports = mongoose.model('Room', RoomSchema);
\ No newline at end of file
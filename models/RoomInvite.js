@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// 채팅방 초대 링크 (만료 시각과 사용 횟수 제한, 선택적으로 방 비밀번호 생략)
+const RoomInviteSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  room: {
+    type: String,
+    required: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // null이면 횟수 제한 없음
+  maxUses: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  bypassPassword: {
+    type: Boolean,
+    default: false
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// 사용 가능한 초대 조건 (사용 횟수 증가 필터에서 함께 사용)
+RoomInviteSchema.statics.usableFilter = function() {
+  return {
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+    $or: [
+      { maxUses: null },
+      { $expr: { $lt: ['$uses', '$maxUses'] } }
+    ]
+  };
+};
+
+RoomInviteSchema.statics.isUsable = function(invite) {
+  return Boolean(invite) &&
+    !invite.revokedAt &&
+    invite.expiresAt > new Date() &&
+    (invite.maxUses == null || invite.uses < invite.maxUses);
+};
+
+module.exports = mongoose.model('RoomInvite', RoomInviteSchema);
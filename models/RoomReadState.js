@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// 사용자별/채팅방별 읽음 커서
+const RoomReadStateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  room: {
+    type: String,
+    required: true
+  },
+  lastReadMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  lastReadAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+RoomReadStateSchema.index({ user: 1, room: 1 }, { unique: true });
+
+module.exports = mongoose.model('RoomReadState', RoomReadStateSchema);
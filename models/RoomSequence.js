@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// 채팅방별 메시지 순번 카운터 (_id는 채팅방 ID)
+const RoomSequenceSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// 원자적으로 다음 순번 발급 (여러 노드에서 동시에 호출해도 중복 없음)
+RoomSequenceSchema.statics.next = async function(roomId) {
+  const counter = await this.findOneAndUpdate(
+    { _id: roomId.toString() },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  ).lean();
+  return counter.seq;
+};
+
+module.exports = mongoose.model('RoomSequence', RoomSequenceSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// 예약 메시지 (지정 시각에 큐 워커가 일반 메시지로 전송)
+const ScheduledMessageSchema = new mongoose.Schema({
+  room: {
+    type: String,
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [10000, '메시지는 10000자를 초과할 수 없습니다.']
+  },
+  format: {
+    type: String,
+    enum: ['plain', 'markdown'],
+    default: 'plain'
+  },
+  scheduledAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'canceled', 'failed'],
+    default: 'pending'
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  sentAt: {
+    type: Date
+  },
+  error: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+ScheduledMessageSchema.index({ room: 1, sender: 1, status: 1, scheduledAt: 1 });
+
+module.exports = mongoose.model('ScheduledMessage', ScheduledMessageSchema);
@@ -1,9 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const messageController = require('../controllers/messageController');
-const auth = require('../middleware/auth');
+const messageController = require('../../controllers/messageController');
+const auth = require('../../middleware/auth');
 
 // 채팅방의 메시지 목록 조회
 router.get('/rooms/:roomId/messages', auth, messageController.loadMessages);
 
-module.exports = router;
\ No newline at end of file
+// 참여 중인 전체 채팅방 메시지 검색
+router.get('/messages/search', auth, messageController.searchMessages);
+
+module.exports = router;
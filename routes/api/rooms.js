@@ -1,11 +1,24 @@
 // backend/routes/api/rooms.js
 const express = require("express");
 const router = express.Router();
+const invitesRouter = express.Router();
+const dmsRouter = express.Router();
 const auth = require("../../middleware/auth");
+const messageController = require("../../controllers/messageController");
 const Room = require("../../models/Room");
 const User = require("../../models/User");
 const { rateLimit } = require("express-rate-limit");
 const redisClient = require("../../utils/redisClient");
+const MessageService = require("../../services/messageService");
+const ReadStateService = require("../../services/readStateService");
+const IdempotencyService = require("../../services/idempotencyService");
+const ScheduledMessageService = require("../../services/scheduledMessageService");
+const ReactionService = require("../../services/reactionService");
+const LinkPreviewService = require("../../services/linkPreviewService");
+const RoomService = require("../../services/roomService");
+const InviteService = require("../../services/inviteService");
+const DmService = require("../../services/dmService");
+const { respondToMentions } = require("../../services/aiChatService");
 let io;
 
 // 속도 제한 설정
@@ -94,6 +107,22 @@ async function invalidateRoomListCache() {
   }
 }
 
+// 사용자별 안 읽은 메시지 수 추가 (사용자마다 다르므로 캐시에는 저장하지 않음)
+async function withUnreadCounts(responseData, userId) {
+  const unreadCounts = await ReadStateService.getUnreadCounts(
+    userId,
+    responseData.data
+  );
+
+  return {
+    ...responseData,
+    data: responseData.data.map((room) => ({
+      ...room,
+      unreadCount: unreadCounts[room._id] || 0,
+    })),
+  };
+}
+
 // 채팅방 목록 조회
 router.get("/", [limiter, auth], async (req, res) => {
   try {
@@ -112,7 +141,8 @@ router.get("/", [limiter, auth], async (req, res) => {
       ? req.query.sortOrder
       : "desc";
 
-    const filter = {};
+    // DM은 공개 목록과 캐시에서 제외
+    const filter = { kind: { $ne: "dm" } };
     if (req.query.search) {
       filter.name = { $regex: req.query.search, $options: "i" };
     }
@@ -121,7 +151,7 @@ router.get("/", [limiter, auth], async (req, res) => {
     const cachedData = await redisClient.get(cacheKey);
     if (cachedData) {
       console.log(`Cache Hit: ${cacheKey}`);
-      return res.json(cachedData);
+      return res.json(await withUnreadCounts(cachedData, req.user.id));
     }
     console.log(`Cache Miss: ${cacheKey}`);
 
@@ -198,7 +228,7 @@ router.get("/", [limiter, auth], async (req, res) => {
     // 캐시에 저장
     await redisClient.setEx(cacheKey, 600, responseData);
 
-    res.json(responseData);
+    res.json(await withUnreadCounts(responseData, req.user.id));
   } catch (error) {
     console.error("방 목록 조회 에러:", error);
     const errorResponse = {
@@ -284,11 +314,19 @@ router.get("/:roomId", auth, async (req, res) => {
       });
     }
 
+    if (room.kind === "dm" && !Room.getMemberRole(room, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: "채팅방 접근 권한이 없습니다.",
+      });
+    }
+
     res.json({
       success: true,
       data: {
         ...room.toObject(),
         password: undefined,
+        ...RoomService.getAccess(room, req.user.id),
       },
     });
   } catch (error) {
@@ -300,11 +338,81 @@ router.get("/:roomId", auth, async (req, res) => {
   }
 });
 
+// 채팅방 설정 변경 (방장)
+router.patch("/:roomId", auth, async (req, res) => {
+  try {
+    const { name, password } = req.body;
+    const room = await RoomService.updateRoom(req.params.roomId, req.user.id, {
+      name,
+      password,
+    });
+
+    const data = { ...room, password: undefined, bans: undefined };
+    if (io) {
+      io.to(req.params.roomId).emit("roomUpdated", data);
+      if (room.kind !== "dm") io.to("room-list").emit("roomUpdated", data);
+    }
+
+    // 방 이름/비밀번호 여부 변경 시 캐시 무효화
+    await invalidateRoomListCache();
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("방 설정 변경 에러:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: {
+        message: error.status
+          ? error.message
+          : "채팅방 설정 변경 중 오류가 발생했습니다.",
+        code: error.code || "ROOM_UPDATE_ERROR",
+      },
+    });
+  }
+});
+
+// 채팅방 삭제 (방장)
+router.delete("/:roomId", auth, async (req, res) => {
+  try {
+    const result = await RoomService.deleteRoom(req.params.roomId, req.user.id);
+
+    if (io) {
+      io.to(req.params.roomId).emit("roomDeleted", result);
+      if (result.kind !== "dm") io.to("room-list").emit("roomDeleted", result);
+      // 모든 노드에서 해당 방의 소켓 제거
+      io.in(req.params.roomId).socketsLeave(req.params.roomId);
+    }
+
+    await invalidateRoomListCache();
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("방 삭제 에러:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: {
+        message: error.status
+          ? error.message
+          : "채팅방 삭제 중 오류가 발생했습니다.",
+        code: error.code || "ROOM_DELETE_ERROR",
+      },
+    });
+  }
+});
+
 // 채팅방 입장
 router.post("/:roomId/join", auth, async (req, res) => {
   try {
     const { password } = req.body;
-    const room = await Room.findById(req.params.roomId).select("+password");
+    const room = await Room.findById(req.params.roomId).select(
+      "+password +bans"
+    );
 
     if (!room) {
       return res.status(404).json({
@@ -313,6 +421,24 @@ router.post("/:roomId/join", auth, async (req, res) => {
       });
     }
 
+    // DM은 참여자가 고정되어 있어 입장 요청으로 참여할 수 없음
+    if (room.kind === "dm" && !Room.getMemberRole(room, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: "채팅방 입장 권한이 없습니다.",
+      });
+    }
+
+    const ban = Room.getActiveBan(room, req.user.id);
+    if (ban) {
+      return res.status(403).json({
+        success: false,
+        message: "이 채팅방에서 차단되었습니다.",
+        code: "BANNED",
+        ban: { reason: ban.reason || null, expiresAt: ban.expiresAt || null },
+      });
+    }
+
     if (room.hasPassword) {
       const isPasswordValid = await room.checkPassword(password);
       if (!isPasswordValid) {
@@ -323,17 +449,28 @@ router.post("/:roomId/join", auth, async (req, res) => {
       }
     }
 
-    if (!room.participants.includes(req.user.id)) {
-      room.participants.push(req.user.id);
-      await room.save();
+    // 확인 이후 차단된 경우에도 참여자로 추가되지 않도록 조건부로 추가
+    const populatedRoom = await Room.findOneAndUpdate(
+      {
+        _id: room._id,
+        bans: { $not: Room.activeBanFilter(req.user.id) },
+      },
+      { $addToSet: { participants: req.user.id } },
+      { new: true, runValidators: true }
+    ).populate("participants", "name email");
+    if (!populatedRoom) {
+      return res.status(403).json({
+        success: false,
+        message: "이 채팅방에서 차단되었습니다.",
+        code: "BANNED",
+      });
     }
 
-    const populatedRoom = await room.populate("participants", "name email");
-
     if (io) {
       io.to(req.params.roomId).emit("roomUpdate", {
         ...populatedRoom.toObject(),
         password: undefined,
+        bans: undefined,
       });
     }
 
@@ -345,6 +482,7 @@ router.post("/:roomId/join", auth, async (req, res) => {
       data: {
         ...populatedRoom.toObject(),
         password: undefined,
+        bans: undefined,
       },
     });
   } catch (error) {
@@ -357,7 +495,766 @@ router.post("/:roomId/join", auth, async (req, res) => {
   }
 });
 
+// 운영자 지정/해제 (방장)
+async function handleSetMemberRole(req, res, role) {
+  try {
+    const result = await RoomService.setMemberRole(
+      req.params.roomId,
+      req.user.id,
+      req.params.userId,
+      role
+    );
+
+    if (io) {
+      io.to(req.params.roomId).emit("memberRoleUpdated", {
+        roomId: req.params.roomId,
+        userId: req.params.userId,
+        role,
+      });
+      // 본인에게는 바뀐 권한 목록까지 전달
+      io.to(req.params.userId).emit("roomPermissionsUpdated", result);
+    }
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("역할 변경 에러:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: {
+        message: error.status
+          ? error.message
+          : "역할 변경 중 오류가 발생했습니다.",
+        code: error.code || "ROLE_UPDATE_ERROR",
+      },
+    });
+  }
+}
+
+router.post("/:roomId/members/:userId/promote", auth, (req, res) =>
+  handleSetMemberRole(req, res, "moderator")
+);
+
+router.post("/:roomId/members/:userId/demote", auth, (req, res) =>
+  handleSetMemberRole(req, res, "member")
+);
+
+function sendModerationError(res, error, fallbackMessage) {
+  res.status(error.status || 500).json({
+    success: false,
+    error: {
+      message: error.status ? error.message : fallbackMessage,
+      code: error.code || "MODERATION_ERROR",
+    },
+  });
+}
+
+// 참여자 강퇴 (방장/운영자, 다시 입장 가능)
+router.post("/:roomId/kick", auth, async (req, res) => {
+  try {
+    const result = await RoomService.kick(
+      req.params.roomId,
+      req.user.id,
+      req.body.userId
+    );
+
+    if (io) {
+      await RoomService.announceRemoval(io, req.params.roomId, result, {
+        event: "kicked",
+        content: `${result.user.name}님이 강퇴되었습니다.`,
+      });
+    }
+
+    // 참여자 변경 시 캐시 무효화
+    await invalidateRoomListCache();
+
+    res.json({
+      success: true,
+      data: {
+        userId: result.user._id,
+        participants: result.participants,
+      },
+    });
+  } catch (error) {
+    console.error("강퇴 에러:", error);
+    sendModerationError(res, error, "강퇴 중 오류가 발생했습니다.");
+  }
+});
+
+// 참여자 차단 (방장/운영자, duration(초)이 없으면 영구 차단)
+router.post("/:roomId/ban", auth, async (req, res) => {
+  try {
+    const { userId, duration, reason } = req.body;
+    const result = await RoomService.ban(req.params.roomId, req.user.id, userId, {
+      duration,
+      reason,
+    });
+
+    if (io) {
+      await RoomService.announceRemoval(io, req.params.roomId, result, {
+        event: "banned",
+        content: `${result.user.name}님이 차단되었습니다.`,
+        payload: {
+          reason: result.ban.reason || null,
+          expiresAt: result.ban.expiresAt,
+        },
+      });
+    }
+
+    await invalidateRoomListCache();
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...result.ban,
+        user: result.user,
+        participants: result.participants,
+      },
+    });
+  } catch (error) {
+    console.error("차단 에러:", error);
+    sendModerationError(res, error, "차단 중 오류가 발생했습니다.");
+  }
+});
+
+// 차단 해제
+router.delete("/:roomId/bans/:userId", auth, async (req, res) => {
+  try {
+    const result = await RoomService.unban(
+      req.params.roomId,
+      req.user.id,
+      req.params.userId
+    );
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("차단 해제 에러:", error);
+    sendModerationError(res, error, "차단 해제 중 오류가 발생했습니다.");
+  }
+});
+
+// 차단 목록 조회
+router.get("/:roomId/bans", auth, async (req, res) => {
+  try {
+    const bans = await RoomService.getBans(req.params.roomId, req.user.id);
+
+    res.json({
+      success: true,
+      data: bans,
+    });
+  } catch (error) {
+    console.error("차단 목록 조회 에러:", error);
+    sendModerationError(res, error, "차단 목록을 불러오는데 실패했습니다.");
+  }
+});
+
+function sendInviteError(res, error, fallbackMessage) {
+  res.status(error.status || 500).json({
+    success: false,
+    error: {
+      message: error.status ? error.message : fallbackMessage,
+      code: error.code || "INVITE_ERROR",
+    },
+  });
+}
+
+// 초대 링크 생성 (expiresIn: 초, maxUses: 없으면 무제한)
+router.post("/:roomId/invites", [limiter, auth], async (req, res) => {
+  try {
+    const { expiresIn, maxUses, bypassPassword } = req.body;
+    const invite = await InviteService.create(req.params.roomId, req.user.id, {
+      expiresIn,
+      maxUses,
+      bypassPassword,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: invite,
+    });
+  } catch (error) {
+    console.error("초대 링크 생성 에러:", error);
+    sendInviteError(res, error, "초대 링크 생성 중 오류가 발생했습니다.");
+  }
+});
+
+// 초대 링크 목록 조회 (방장)
+router.get("/:roomId/invites", auth, async (req, res) => {
+  try {
+    const invites = await InviteService.list(req.params.roomId, req.user.id);
+
+    res.json({
+      success: true,
+      data: invites,
+    });
+  } catch (error) {
+    console.error("초대 링크 목록 조회 에러:", error);
+    sendInviteError(res, error, "초대 링크 목록을 불러오는데 실패했습니다.");
+  }
+});
+
+// 초대 링크 취소
+router.delete("/:roomId/invites/:inviteId", auth, async (req, res) => {
+  try {
+    const result = await InviteService.revoke(
+      req.params.roomId,
+      req.params.inviteId,
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("초대 링크 취소 에러:", error);
+    sendInviteError(res, error, "초대 링크 취소 중 오류가 발생했습니다.");
+  }
+});
+
+// 초대 수락 (/api/invites/:code/accept)
+invitesRouter.post("/:code/accept", [limiter, auth], async (req, res) => {
+  try {
+    const { room, joined } = await InviteService.accept(
+      req.params.code,
+      req.user.id,
+      { password: req.body.password }
+    );
+
+    const data = { ...room.toObject(), password: undefined, bans: undefined };
+    if (joined) {
+      if (io) {
+        io.to(room._id.toString()).emit("roomUpdate", data);
+      }
+      // 참여자 변경 시 캐시 무효화
+      await invalidateRoomListCache();
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("초대 수락 에러:", error);
+    sendInviteError(res, error, "초대 수락 중 오류가 발생했습니다.");
+  }
+});
+
+// DM 열기 (같은 참여자 조합이면 기존 DM 반환, /api/dms)
+dmsRouter.post("/", [limiter, auth], async (req, res) => {
+  try {
+    const { room, created } = await DmService.open(
+      req.user.id,
+      req.body.participantIds
+    );
+
+    const data = { ...room, password: undefined, bans: undefined };
+    if (created && io) {
+      room.participants.forEach((participant) => {
+        io.to(participant._id.toString()).emit("dmCreated", data);
+      });
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("DM 생성 에러:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: {
+        message: error.status ? error.message : "DM을 여는 중 오류가 발생했습니다.",
+        code: error.code || "DM_OPEN_ERROR",
+      },
+    });
+  }
+});
+
+// 내 DM 목록 조회
+dmsRouter.get("/", auth, async (req, res) => {
+  try {
+    const dms = await DmService.list(req.user.id);
+
+    res.json({
+      success: true,
+      data: dms,
+    });
+  } catch (error) {
+    console.error("DM 목록 조회 에러:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: "DM 목록을 불러오는데 실패했습니다.",
+        code: "DM_LIST_ERROR",
+      },
+    });
+  }
+});
+
+// 채팅방 메시지 검색
+router.get(
+  "/:roomId/messages/search",
+  [limiter, auth],
+  messageController.searchRoomMessages
+);
+
+// 메시지 수정 이력 조회 (방장/운영자)
+router.get(
+  "/:roomId/messages/:messageId/history",
+  auth,
+  async (req, res) => {
+    try {
+      const history = await MessageService.getEditHistory(
+        req.params.roomId,
+        req.params.messageId,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        data: history,
+      });
+    } catch (error) {
+      console.error("수정 이력 조회 에러:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: {
+          message: error.status
+            ? error.message
+            : "수정 이력을 불러오는데 실패했습니다.",
+          code: error.code || "EDIT_HISTORY_ERROR",
+        },
+      });
+    }
+  }
+);
+
+// 고정 메시지 목록 조회
+router.get("/:roomId/pins", auth, async (req, res) => {
+  try {
+    const room = await Room.findOne({
+      _id: req.params.roomId,
+      participants: req.user.id,
+    })
+      .select("_id")
+      .lean();
+
+    if (!room) {
+      return res.status(403).json({
+        success: false,
+        message: "채팅방 접근 권한이 없습니다.",
+      });
+    }
+
+    const pins = await MessageService.getPinnedMessages(req.params.roomId);
+
+    res.json({
+      success: true,
+      data: pins,
+    });
+  } catch (error) {
+    console.error("고정 메시지 조회 에러:", error);
+    res.status(500).json({
+      success: false,
+      message: "고정 메시지를 불러오는데 실패했습니다.",
+    });
+  }
+});
+
+// 메시지 고정/해제 (방장/운영자)
+async function handleSetPinned(req, res, messageId, pinned) {
+  try {
+    const pins = await MessageService.setPinned(
+      req.params.roomId,
+      messageId,
+      req.user.id,
+      pinned
+    );
+
+    if (io) {
+      io.to(req.params.roomId).emit("pinsUpdated", {
+        roomId: req.params.roomId,
+        pins,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: pins,
+    });
+  } catch (error) {
+    console.error("메시지 고정 에러:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: {
+        message: error.status
+          ? error.message
+          : "메시지 고정 처리 중 오류가 발생했습니다.",
+        code: error.code || "PIN_ERROR",
+      },
+    });
+  }
+}
+
+router.post("/:roomId/pins", auth, (req, res) => {
+  if (!req.body?.messageId) {
+    return res.status(400).json({
+      success: false,
+      message: "고정할 메시지 ID는 필수입니다.",
+    });
+  }
+  return handleSetPinned(req, res, req.body.messageId, true);
+});
+
+router.delete("/:roomId/pins/:messageId", auth, (req, res) =>
+  handleSetPinned(req, res, req.params.messageId, false)
+);
+
+// 허용 리액션 목록 설정 (방장, 빈 배열이면 제한 해제)
+router.put("/:roomId/reactions", auth, async (req, res) => {
+  try {
+    const allowedReactions = await ReactionService.setAllowedReactions(
+      req.params.roomId,
+      req.user.id,
+      req.body?.allowedReactions
+    );
+
+    if (io) {
+      io.to(req.params.roomId).emit("roomReactionsUpdated", {
+        roomId: req.params.roomId,
+        allowedReactions,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { allowedReactions },
+    });
+  } catch (error) {
+    console.error("허용 리액션 설정 에러:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: {
+        message: error.status
+          ? error.message
+          : "허용 리액션 설정 중 오류가 발생했습니다.",
+        code: error.code || "REACTION_SETTINGS_ERROR",
+      },
+    });
+  }
+});
+
+// 메시지 전송 (Idempotency-Key 헤더로 재시도 시 중복 전송 방지)
+router.post("/:roomId/messages", [limiter, auth], async (req, res) => {
+  const idempotencyKey = req.get("Idempotency-Key");
+  const idempotencyScope = `messages:${req.user.id}:${req.params.roomId}`;
+  const {
+    type = "text",
+    content,
+    fileData,
+    parentMessage,
+    replyTo,
+    poll,
+    format,
+    clientMessageId,
+  } = req.body || {};
+  const messageData = {
+    room: req.params.roomId,
+    type,
+    content,
+    fileData,
+    parentMessage,
+    replyTo,
+    poll,
+    format,
+    clientMessageId,
+  };
+  const fingerprint = IdempotencyService.fingerprint(messageData);
+  let idempotencyStarted = false;
+
+  try {
+    if (!io) {
+      return res.status(503).json({
+        success: false,
+        message: "실시간 서버가 준비되지 않았습니다.",
+      });
+    }
+
+    if (idempotencyKey !== undefined) {
+      if (!IdempotencyService.isValidKey(idempotencyKey)) {
+        return res.status(400).json({
+          success: false,
+          message: "Idempotency-Key 형식이 올바르지 않습니다.",
+        });
+      }
+
+      const { state, result } = await IdempotencyService.begin(
+        idempotencyScope,
+        idempotencyKey,
+        fingerprint
+      );
+
+      if (state === "completed") {
+        res.set("Idempotent-Replayed", "true");
+        return res.status(201).json(result);
+      }
+      if (state === "processing") {
+        return res.status(409).json({
+          success: false,
+          message: "같은 Idempotency-Key로 요청을 처리하는 중입니다.",
+        });
+      }
+      if (state === "mismatch") {
+        return res.status(422).json({
+          success: false,
+          message: "Idempotency-Key가 다른 요청에 이미 사용되었습니다.",
+        });
+      }
+      idempotencyStarted = true;
+    }
+
+    const user = await User.findById(req.user.id)
+      .select("name profileImage")
+      .lean();
+    if (!user) {
+      throw MessageService.createError(
+        "사용자를 찾을 수 없습니다.",
+        "USER_NOT_FOUND",
+        404
+      );
+    }
+
+    const message = await MessageService.sendMessage(
+      io,
+      { id: req.user.id, name: user.name, profileImage: user.profileImage },
+      messageData
+    );
+    if (!message) {
+      throw MessageService.createError(
+        "메시지 내용을 입력해주세요.",
+        "EMPTY_MESSAGE"
+      );
+    }
+
+    const responseData = {
+      success: true,
+      data: message.toJSON(),
+    };
+
+    if (idempotencyStarted) {
+      // 메시지는 이미 저장됐으므로 키 저장 실패는 기록만 하고 처리 중 표시가 만료되게 둠
+      await IdempotencyService.complete(
+        idempotencyScope,
+        idempotencyKey,
+        fingerprint,
+        responseData
+      ).catch((error) => console.error("Idempotency complete error:", error));
+    }
+
+    LinkPreviewService.enqueue(message).catch((error) =>
+      console.error("Link preview enqueue error:", error)
+    );
+
+    // AI 응답은 스트리밍으로 방송되므로 HTTP 응답을 기다리게 하지 않음
+    respondToMentions(
+      io,
+      req.params.roomId,
+      message.content,
+      req.user.id
+    ).catch((error) => console.error("AI mention handling error:", error));
+
+    res.status(201).json(responseData);
+  } catch (error) {
+    // 저장 전 실패만 같은 키로 재시도할 수 있게 해제하고, 저장 후 실패는 저장된 응답으로 완료
+    if (idempotencyStarted && !error.savedMessage) {
+      await IdempotencyService.release(idempotencyScope, idempotencyKey);
+    } else if (idempotencyStarted) {
+      await IdempotencyService.complete(
+        idempotencyScope,
+        idempotencyKey,
+        fingerprint,
+        { success: true, data: error.savedMessage.toJSON() }
+      ).catch((completeError) =>
+        console.error("Idempotency complete error:", completeError)
+      );
+    }
+
+    console.error("메시지 전송 에러:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: {
+        message: error.status
+          ? error.message
+          : "메시지 전송 중 오류가 발생했습니다.",
+        code: error.code || "MESSAGE_SEND_ERROR",
+      },
+    });
+  }
+});
+
+// 메시지 삭제 (보낸 사람 또는 방장/운영자)
+router.delete("/:roomId/messages/:messageId", auth, async (req, res) => {
+  try {
+    const deleteFile =
+      req.query.deleteFile === "true" || req.body?.deleteFile === true;
+
+    const tombstone = await MessageService.deleteMessage(
+      req.params.messageId,
+      req.user.id,
+      { roomId: req.params.roomId, deleteFile }
+    );
+
+    if (io) {
+      io.to(req.params.roomId).emit("messageDeleted", tombstone);
+      if (tombstone.thread) {
+        io.to(req.params.roomId).emit("threadUpdated", tombstone.thread);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: tombstone,
+    });
+  } catch (error) {
+    console.error("메시지 삭제 에러:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: {
+        message: error.status
+          ? error.message
+          : "메시지 삭제 중 오류가 발생했습니다.",
+        code: error.code || "MESSAGE_DELETE_ERROR",
+      },
+    });
+  }
+});
+
+// 예약 메시지 에러 응답
+function sendScheduledMessageError(res, error, fallbackMessage) {
+  console.error("예약 메시지 에러:", error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: {
+      message: error.status ? error.message : fallbackMessage,
+      code: error.code || "SCHEDULED_MESSAGE_ERROR",
+    },
+  });
+}
+
+// 예약 메시지 등록
+router.post("/:roomId/scheduled-messages", [limiter, auth], async (req, res) => {
+  try {
+    const scheduledMessage = await ScheduledMessageService.create(
+      req.params.roomId,
+      req.user.id,
+      {
+        content: req.body?.content,
+        format: req.body?.format,
+        scheduledAt: req.body?.scheduledAt,
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: scheduledMessage,
+    });
+  } catch (error) {
+    sendScheduledMessageError(
+      res,
+      error,
+      "메시지 예약 중 오류가 발생했습니다."
+    );
+  }
+});
+
+// 내 예약 메시지 목록 (status=pending|sent|canceled|failed|all)
+router.get("/:roomId/scheduled-messages", auth, async (req, res) => {
+  try {
+    const scheduledMessages = await ScheduledMessageService.list(
+      req.params.roomId,
+      req.user.id,
+      { status: req.query.status }
+    );
+
+    res.json({
+      success: true,
+      data: scheduledMessages,
+    });
+  } catch (error) {
+    sendScheduledMessageError(
+      res,
+      error,
+      "예약 메시지를 불러오는데 실패했습니다."
+    );
+  }
+});
+
+// 예약 메시지 수정 (내용/예약 시간, 대기 중인 것만)
+router.put(
+  "/:roomId/scheduled-messages/:scheduledMessageId",
+  auth,
+  async (req, res) => {
+    try {
+      const scheduledMessage = await ScheduledMessageService.update(
+        req.params.roomId,
+        req.params.scheduledMessageId,
+        req.user.id,
+        {
+          content: req.body?.content,
+          format: req.body?.format,
+          scheduledAt: req.body?.scheduledAt,
+        }
+      );
+
+      res.json({
+        success: true,
+        data: scheduledMessage,
+      });
+    } catch (error) {
+      sendScheduledMessageError(
+        res,
+        error,
+        "예약 메시지 수정 중 오류가 발생했습니다."
+      );
+    }
+  }
+);
+
+// 예약 메시지 취소
+router.delete(
+  "/:roomId/scheduled-messages/:scheduledMessageId",
+  auth,
+  async (req, res) => {
+    try {
+      const scheduledMessage = await ScheduledMessageService.cancel(
+        req.params.roomId,
+        req.params.scheduledMessageId,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        data: scheduledMessage,
+      });
+    } catch (error) {
+      sendScheduledMessageError(
+        res,
+        error,
+        "예약 메시지 취소 중 오류가 발생했습니다."
+      );
+    }
+  }
+);
+
 module.exports = {
   router,
+  invitesRouter,
+  dmsRouter,
   initializeSocket,
 };
@@ -15,6 +15,18 @@ router.get('/profile',
   userController.getProfile
 );
 
+// 나를 멘션한 메시지 목록
+router.get('/mentions',
+  auth,
+  userController.getMentions
+);
+
+// 사용자 접속 상태 일괄 조회
+router.get('/presence',
+  auth,
+  userController.getPresence
+);
+
 // 프로필 업데이트
 router.put('/profile',
   auth,
@@ -4,8 +4,9 @@ const router = express.Router();
 // Import route modules
 const authRoutes = require('./api/auth');
 const userRoutes = require('./api/users');
-const { router: roomsRouter } = require('./api/rooms');
+const { router: roomsRouter, invitesRouter, dmsRouter } = require('./api/rooms');
 const fileRoutes = require('./api/files');
+const messageRoutes = require('./api/message');
 
 // API documentation route
 router.get('/', (req, res) => {
@@ -26,7 +27,32 @@ router.get('/', (req, res) => {
       },
       users: '/users',
       rooms: '/rooms',
+      dms: {
+        base: '/dms',
+        routes: {
+          open: { method: 'POST', path: '/' },
+          list: { method: 'GET', path: '/' }
+        }
+      },
+      invites: {
+        base: '/invites',
+        routes: {
+          accept: { method: 'POST', path: '/:code/accept' }
+        }
+      },
       files: '/files',
+      roomMessages: {
+        base: '/rooms/:roomId/messages',
+        routes: {
+          history: { method: 'GET', path: '/', query: ['before', 'after', 'around', 'limit'] }
+        }
+      },
+      messages: {
+        base: '/messages',
+        routes: {
+          search: { method: 'GET', path: '/search' }
+        }
+      },
       ai: '/ai'
     }
   });
@@ -36,6 +62,9 @@ router.get('/', (req, res) => {
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/rooms', roomsRouter);  // roomsRouter로 변경
+router.use('/invites', invitesRouter);
+router.use('/dms', dmsRouter);
 router.use('/files', fileRoutes);
+router.use('/', messageRoutes);
 
 module.exports = router;
\ No newline at end of file
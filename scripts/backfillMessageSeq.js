@@ -0,0 +1,66 @@
+// backend/scripts/backfillMessageSeq.js
+// 순번(seq) 도입 이전 메시지에 순번 부여
+// 백필 전에도 타임라인은 timestamp 인덱스로 이전 메시지를 이어서 조회하지만, 백필 후에는 순번 인덱스만 사용함
+// 방별로 가장 작은 기존 순번 아래로 최신 메시지부터 거꾸로 채우므로 0 이하의 순번이 생길 수 있음
+// 서비스 중에 실행해도 새 메시지는 RoomSequence에서 더 큰 순번을 받으므로 순서가 유지됨
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { mongoURI } = require('../config/keys');
+
+const BATCH_SIZE = 1000;
+
+async function backfillRoom(roomId) {
+  const first = await Message.findOne({ room: roomId, seq: { $exists: true } })
+    .sort({ seq: 1 })
+    .select('seq')
+    .lean();
+  let nextSeq = (first ? first.seq : 1) - 1;
+  let count = 0;
+
+  for (;;) {
+    const messages = await Message.find({ room: roomId, seq: { $exists: false } })
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(BATCH_SIZE)
+      .select('_id')
+      .lean();
+    if (messages.length === 0) break;
+
+    // updatedAt을 바꾸면 재연결 시 변경분으로 재전송되므로 timestamps 비활성화
+    await Message.bulkWrite(
+      messages.map(({ _id }) => ({
+        updateOne: {
+          filter: { _id, seq: { $exists: false } },
+          update: { $set: { seq: nextSeq-- } },
+          timestamps: false
+        }
+      }))
+    );
+    count += messages.length;
+  }
+
+  return count;
+}
+
+async function main() {
+  await mongoose.connect(mongoURI);
+
+  const roomIds = await Message.distinct('room', { seq: { $exists: false } });
+  console.log(`Backfilling message seq for ${roomIds.length} rooms`);
+
+  let total = 0;
+  for (const roomId of roomIds) {
+    const count = await backfillRoom(roomId);
+    total += count;
+    console.log(`  ${roomId}: ${count} messages`);
+  }
+
+  console.log(`Done: ${total} messages`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Message seq backfill error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
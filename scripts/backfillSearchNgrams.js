@@ -0,0 +1,51 @@
+// backend/scripts/backfillSearchNgrams.js
+// 한글 검색용 2-gram(searchNgrams) 도입 이전 메시지에 2-gram 부여
+// 백필 전에도 검색은 정규식으로 동작하지만, 백필 후에는 2-gram 인덱스로 후보를 줄일 수 있음
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { mongoURI } = require('../config/keys');
+
+const BATCH_SIZE = 1000;
+
+async function main() {
+  await mongoose.connect(mongoURI);
+
+  let total = 0;
+  let lastId = null;
+  for (;;) {
+    const messages = await Message.find({
+      searchNgrams: { $exists: false },
+      ...(lastId && { _id: { $gt: lastId } })
+    })
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .select('_id content')
+      .lean();
+    if (messages.length === 0) break;
+
+    // updatedAt을 바꾸면 재연결 시 변경분으로 재전송되므로 timestamps 비활성화
+    await Message.bulkWrite(
+      messages.map(({ _id, content }) => ({
+        updateOne: {
+          filter: { _id, searchNgrams: { $exists: false } },
+          update: { $set: { searchNgrams: Message.toSearchNgrams(content) } },
+          timestamps: false
+        }
+      }))
+    );
+
+    total += messages.length;
+    lastId = messages[messages.length - 1]._id;
+    console.log(`  ${total} messages`);
+  }
+
+  console.log(`Done: ${total} messages`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Search ngram backfill error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -7,6 +7,8 @@ const socketIO = require("socket.io");
 const path = require("path");
 const { router: roomsRouter, initializeSocket } = require("./routes/api/rooms");
 const routes = require("./routes");
+const ScheduledMessageService = require("./services/scheduledMessageService");
+const LinkPreviewService = require("./services/linkPreviewService");
 
 const app = express();
 const server = http.createServer(app);
@@ -27,7 +29,7 @@ const corsOptions = {
     "https://0.0.0.0:3000",
   ],
   credentials: true,
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
   allowedHeaders: [
     "Content-Type",
     "Authorization",
@@ -35,8 +37,9 @@ const corsOptions = {
     "x-session-id",
     "Cache-Control",
     "Pragma",
+    "Idempotency-Key",
   ],
-  exposedHeaders: ["x-auth-token", "x-session-id"],
+  exposedHeaders: ["x-auth-token", "x-session-id", "Idempotent-Replayed"],
 };
 
 // 기본 미들웨어
@@ -79,6 +82,10 @@ require("./sockets/chat")(io);
 // Socket.IO 객체 전달
 initializeSocket(io);
 
+// 큐 워커: 예약 메시지 전송(chatMessage와 같은 경로), 링크 미리보기 생성
+ScheduledMessageService.startWorker(io);
+LinkPreviewService.startWorker(io);
+
 // 404 에러 핸들러
 app.use((req, res) => {
   console.log("404 Error:", req.originalUrl);
@@ -0,0 +1,223 @@
+// backend/services/aiChatService.js
+// 채팅방 AI 멘션 응답 스트리밍 (socket chatMessage, REST 메시지 전송 공용)
+
+const Message = require("../models/Message");
+const Room = require("../models/Room");
+const redisClient = require("../utils/redisClient");
+const aiService = require("./aiService");
+const MessageService = require("./messageService");
+const TypingService = require("./typingService");
+
+const STREAMING_SESSIONS_KEY = "streaming_sessions";
+
+function logDebug(action, data) {
+  console.debug(`[Socket.IO] ${action}:`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+function extractAIMentions(content) {
+  if (!content) return [];
+  const aiTypes = [
+    "wayneAI",
+    "consultingAI",
+    "spellingAI",
+    "refuteAI",
+    "agentB",
+    "hankangAI",
+  ];
+  const mentions = new Set();
+  const mentionRegex =
+    /@(wayneAI|consultingAI|spellingAI|refuteAI|agentB|hankangAI)\b/g;
+  let match;
+  while ((match = mentionRegex.exec(content)) !== null) {
+    if (aiTypes.includes(match[1])) mentions.add(match[1]);
+  }
+  return Array.from(mentions);
+}
+
+// 메시지에 포함된 AI 멘션마다 순서대로 응답 생성 (mentionAI 권한이 있는 경우만)
+async function respondToMentions(io, room, content, senderId) {
+  const aiMentions = extractAIMentions(content);
+  if (aiMentions.length === 0) return;
+
+  const chatRoom = await Room.findById(room)
+    .select("creator participants moderators kind")
+    .lean();
+  if (!Room.hasPermission(chatRoom, senderId, "mentionAI")) {
+    logDebug("AI mention skipped (no permission)", { room, senderId });
+    io.to(senderId.toString()).emit("error", {
+      code: "AI_MENTION_FORBIDDEN",
+      message: "이 채팅방에서 AI를 호출할 권한이 없습니다.",
+    });
+    return;
+  }
+
+  for (const ai of aiMentions) {
+    const query = content.replace(new RegExp(`@${ai}\\b`, "g"), "").trim();
+    await handleAIResponse(io, room, ai, query);
+  }
+}
+
+async function handleAIResponse(io, room, aiName, query) {
+  const messageId = `${aiName}-${Date.now()}`;
+  let accumulatedContent = "";
+  const timestamp = new Date();
+
+  const sessionData = {
+    room,
+    aiType: aiName,
+    content: "",
+    messageId,
+    timestamp,
+    lastUpdate: Date.now(),
+    reactions: {},
+  };
+
+  await redisClient.hSet(
+    STREAMING_SESSIONS_KEY,
+    messageId,
+    JSON.stringify(sessionData)
+  );
+
+  logDebug("AI response started", { messageId, aiType: aiName, room, query });
+
+  io.to(room).emit("aiMessageStart", {
+    messageId,
+    aiType: aiName,
+    timestamp,
+  });
+
+  const aiTypist = { isAI: true, aiType: aiName, name: aiName };
+  let lastTypingRefresh = Date.now();
+  await TypingService.broadcast(io, room, aiTypist, true);
+
+  try {
+    await aiService.generateResponse(query, aiName, {
+      onStart: () =>
+        logDebug("AI generation started", { messageId, aiType: aiName }),
+      onChunk: async (chunk) => {
+        accumulatedContent += chunk.currentChunk || "";
+        const updatedSession = {
+          ...sessionData,
+          content: accumulatedContent,
+          lastUpdate: Date.now(),
+        };
+        await redisClient.hSet(
+          STREAMING_SESSIONS_KEY,
+          messageId,
+          JSON.stringify(updatedSession)
+        );
+
+        // 스트리밍이 길어져도 입력 중 상태가 만료되지 않도록 주기적으로 갱신
+        if (
+          Date.now() - lastTypingRefresh >
+          (TypingService.TYPING_TTL * 1000) / 2
+        ) {
+          lastTypingRefresh = Date.now();
+          await TypingService.start(room, aiTypist);
+        }
+
+        io.to(room).emit("aiMessageChunk", {
+          messageId,
+          currentChunk: chunk.currentChunk,
+          fullContent: accumulatedContent,
+          isCodeBlock: chunk.isCodeBlock,
+          timestamp: new Date(),
+          aiType: aiName,
+          isComplete: false,
+        });
+      },
+      onComplete: async (finalContent) => {
+        await redisClient.hDel(STREAMING_SESSIONS_KEY, messageId);
+        await TypingService.broadcast(io, room, aiTypist, false);
+
+        const aiMessage = new Message({
+          room,
+          content: finalContent.content,
+          type: "ai",
+          aiType: aiName,
+          // AI 응답은 코드 블록을 포함한 Markdown
+          format: "markdown",
+          timestamp: new Date(),
+          reactions: {},
+          metadata: {
+            query,
+            generationTime: Date.now() - timestamp,
+            completionTokens: finalContent.completionTokens,
+            totalTokens: finalContent.totalTokens,
+          },
+        });
+
+        await aiMessage.save();
+        await aiMessage.populate([
+          { path: "sender", select: "name email profileImage" },
+          { path: "file", select: "filename originalname mimetype size" },
+        ]);
+
+        io.to(room).emit("aiMessageComplete", {
+          messageId,
+          _id: aiMessage._id,
+          content: finalContent.content,
+          format: aiMessage.format,
+          html: aiMessage.html,
+          aiType: aiName,
+          timestamp: new Date(),
+          isComplete: true,
+          query,
+          reactions: {},
+        });
+
+        await MessageService.appendToLatestCache(room, aiMessage);
+
+        logDebug("AI response completed", {
+          messageId,
+          aiType: aiName,
+          contentLength: finalContent.content.length,
+          generationTime: Date.now() - timestamp,
+        });
+      },
+      onError: async (error) => {
+        await redisClient.hDel(STREAMING_SESSIONS_KEY, messageId);
+        await TypingService.broadcast(io, room, aiTypist, false);
+        console.error("AI response error:", error);
+
+        io.to(room).emit("aiMessageError", {
+          messageId,
+          error: error.message || "AI 응답 생성 중 오류가 발생했습니다.",
+          aiType: aiName,
+        });
+
+        logDebug("AI response error", {
+          messageId,
+          aiType: aiName,
+          error: error.message,
+        });
+      },
+    });
+  } catch (error) {
+    await redisClient.hDel(STREAMING_SESSIONS_KEY, messageId);
+    await TypingService.broadcast(io, room, aiTypist, false);
+    console.error("AI service error:", error);
+
+    io.to(room).emit("aiMessageError", {
+      messageId,
+      error: error.message || "AI 서비스 오류가 발생했습니다.",
+      aiType: aiName,
+    });
+
+    logDebug("AI service error", {
+      messageId,
+      aiType: aiName,
+      error: error.message,
+    });
+  }
+}
+
+module.exports = {
+  STREAMING_SESSIONS_KEY,
+  extractAIMentions,
+  respondToMentions,
+  handleAIResponse,
+};
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const MessageService = require('./messageService');
+const ReadStateService = require('./readStateService');
+
+class DmService {
+  static MAX_PARTICIPANTS = 8; // 본인 포함
+  static NAME_MAX_LENGTH = 100;
+
+  static getDmKey(userIds) {
+    return [...userIds].sort().join(':');
+  }
+
+  // DM 열기 (같은 참여자 조합이면 기존 DM 반환)
+  static async open(userId, participantIds) {
+    if (!Array.isArray(participantIds)) {
+      throw MessageService.createError('대화 상대 목록이 올바르지 않습니다.', 'INVALID_DM_PARTICIPANTS');
+    }
+
+    const ids = [...new Set([userId, ...participantIds].map(String))];
+    if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      throw MessageService.createError('대화 상대 목록이 올바르지 않습니다.', 'INVALID_DM_PARTICIPANTS');
+    }
+    if (ids.length < 2) {
+      throw MessageService.createError('대화 상대를 선택해 주세요.', 'INVALID_DM_PARTICIPANTS');
+    }
+    if (ids.length > this.MAX_PARTICIPANTS) {
+      throw MessageService.createError(
+        `DM은 최대 ${this.MAX_PARTICIPANTS}명까지 참여할 수 있습니다.`,
+        'INVALID_DM_PARTICIPANTS'
+      );
+    }
+
+    const users = await User.find({ _id: { $in: ids } }).select('name').lean();
+    if (users.length !== ids.length) {
+      throw MessageService.createError('사용자를 찾을 수 없습니다.', 'USER_NOT_FOUND', 404);
+    }
+
+    const dmKey = this.getDmKey(ids);
+    // 기존 DM이면 빠진 참여자가 없도록 다시 채움
+    let room = await Room.findOneAndUpdate(
+      { kind: 'dm', dmKey },
+      { $addToSet: { participants: { $each: ids } } },
+      { new: true }
+    );
+    let created = false;
+
+    if (!room) {
+      const names = new Map(users.map((user) => [user._id.toString(), user.name]));
+      try {
+        room = await Room.create({
+          name: ids.map((id) => names.get(id)).join(', ').slice(0, this.NAME_MAX_LENGTH),
+          creator: userId,
+          kind: 'dm',
+          dmKey,
+          participants: ids
+        });
+        created = true;
+      } catch (error) {
+        // 동시에 같은 DM을 연 경우 먼저 생성된 DM 사용
+        if (error.code !== 11000) throw error;
+        room = await Room.findOne({ kind: 'dm', dmKey });
+      }
+    }
+
+    await room.populate('participants', 'name email profileImage');
+    return { room: room.toObject(), created };
+  }
+
+  // 내 DM 목록 (마지막 메시지와 안 읽은 메시지 수 포함, 최근 대화 순)
+  static async list(userId) {
+    const rooms = await Room.find({ kind: 'dm', participants: userId })
+      .populate('participants', 'name email profileImage')
+      .lean();
+    if (rooms.length === 0) return [];
+
+    // 순번이 있는 메시지는 { room, seq } 부분 인덱스로 한 번에 조회
+    const roomIds = rooms.map((room) => room._id.toString());
+    const lastMessages = await Message.aggregate([
+      {
+        $match: {
+          room: { $in: roomIds },
+          isDeleted: { $ne: true },
+          seq: { $exists: true }
+        }
+      },
+      { $sort: { room: 1, seq: -1 } },
+      {
+        $group: {
+          _id: '$room',
+          message: {
+            $first: {
+              _id: '$_id',
+              type: '$type',
+              content: '$content',
+              format: '$format',
+              sender: '$sender',
+              seq: '$seq',
+              timestamp: '$timestamp'
+            }
+          }
+        }
+      }
+    ]);
+    await Message.populate(lastMessages, { path: 'message.sender', select: 'name profileImage' });
+    const lastMessageMap = new Map(lastMessages.map(({ _id, message }) => [_id, message]));
+
+    // 순번이 있는 메시지가 없는 DM은 순번 도입 이전 메시지 중 최신 메시지 사용
+    await Promise.all(
+      roomIds
+        .filter((roomId) => !lastMessageMap.has(roomId))
+        .map(async (roomId) => {
+          const message = await Message.findOne({
+            room: roomId,
+            isDeleted: { $ne: true },
+            seq: { $exists: false }
+          })
+            .sort({ timestamp: -1 })
+            .select('type content format sender seq timestamp')
+            .populate('sender', 'name profileImage')
+            .lean();
+          if (message) lastMessageMap.set(roomId, message);
+        })
+    );
+
+    const unreadCounts = await ReadStateService.getUnreadCounts(userId, rooms);
+
+    return rooms
+      .map((room) => {
+        const roomId = room._id.toString();
+        return {
+          _id: room._id,
+          name: room.name,
+          kind: room.kind,
+          participants: room.participants,
+          createdAt: room.createdAt,
+          lastMessage: lastMessageMap.get(roomId) || null,
+          unreadCount: unreadCounts[roomId] || 0
+        };
+      })
+      .sort((a, b) =>
+        new Date(b.lastMessage?.timestamp || b.createdAt) -
+        new Date(a.lastMessage?.timestamp || a.createdAt)
+      );
+  }
+}
+
+module.exports = DmService;
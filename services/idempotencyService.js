@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const redisClient = require('../utils/redisClient');
+
+class IdempotencyService {
+  static IDEMPOTENCY_TTL = 24 * 60 * 60; // 24시간
+  static PROCESSING_TTL = 60; // 처리 중 표시는 1분 후 자동 해제
+  static IDEMPOTENCY_PREFIX = 'idempotency:';
+  static MAX_KEY_LENGTH = 255;
+
+  static getKey(scope, key) {
+    return `${this.IDEMPOTENCY_PREFIX}${scope}:${key}`;
+  }
+
+  static isValidKey(key) {
+    return typeof key === 'string' && key.length > 0 && key.length <= this.MAX_KEY_LENGTH;
+  }
+
+  // 요청 내용이 같은지 비교하기 위한 해시
+  static fingerprint(payload) {
+    return crypto.createHash('sha256').update(JSON.stringify(payload || {})).digest('hex');
+  }
+
+  // 처리 시작: new(처리 가능) / processing / completed(저장된 결과) / mismatch(다른 요청에 같은 키 사용)
+  static async begin(scope, key, fingerprint) {
+    const redisKey = this.getKey(scope, key);
+    const acquired = await redisClient.setNX(
+      redisKey,
+      { state: 'processing', fingerprint },
+      this.PROCESSING_TTL
+    );
+    if (acquired) return { state: 'new' };
+
+    const stored = await redisClient.get(redisKey);
+    if (!stored || typeof stored !== 'object') {
+      return { state: 'processing' };
+    }
+    if (stored.fingerprint && fingerprint && stored.fingerprint !== fingerprint) {
+      return { state: 'mismatch' };
+    }
+
+    return stored.state === 'completed'
+      ? { state: 'completed', result: stored.result }
+      : { state: 'processing' };
+  }
+
+  static async complete(scope, key, fingerprint, result) {
+    await redisClient.setEx(
+      this.getKey(scope, key),
+      this.IDEMPOTENCY_TTL,
+      { state: 'completed', fingerprint, result }
+    );
+  }
+
+  // 처리 실패 시 같은 키로 재시도할 수 있도록 해제
+  static async release(scope, key) {
+    try {
+      await redisClient.del(this.getKey(scope, key));
+    } catch (error) {
+      console.error('Idempotency release error:', error);
+    }
+  }
+}
+
+module.exports = IdempotencyService;
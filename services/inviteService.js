@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const RoomInvite = require('../models/RoomInvite');
+const MessageService = require('./messageService');
+const RoomService = require('./roomService');
+
+class InviteService {
+  static CODE_BYTES = 12;
+  static DEFAULT_EXPIRES_IN = 7 * 24 * 60 * 60; // 초 단위, 7일
+  static MAX_EXPIRES_IN = 30 * 24 * 60 * 60; // 최대 30일
+  static MAX_USES = 1000;
+  static MAX_ACTIVE_INVITES_PER_ROOM = 50;
+
+  static generateCode() {
+    return crypto.randomBytes(this.CODE_BYTES).toString('base64url');
+  }
+
+  static serialize(invite) {
+    return {
+      _id: invite._id,
+      code: invite.code,
+      room: invite.room,
+      createdBy: invite.createdBy,
+      expiresAt: invite.expiresAt,
+      maxUses: invite.maxUses,
+      uses: invite.uses,
+      bypassPassword: invite.bypassPassword,
+      createdAt: invite.createdAt,
+      isUsable: RoomInvite.isUsable(invite)
+    };
+  }
+
+  // 초대 링크 생성 (invite 권한, 비밀번호 생략은 방장만)
+  static async create(roomId, actorId, { expiresIn, maxUses, bypassPassword = false } = {}) {
+    const ttl = expiresIn ?? this.DEFAULT_EXPIRES_IN;
+    if (!Number.isInteger(ttl) || ttl <= 0 || ttl > this.MAX_EXPIRES_IN) {
+      throw MessageService.createError('초대 만료 기간이 올바르지 않습니다.', 'INVALID_INVITE_EXPIRY');
+    }
+    if (maxUses != null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > this.MAX_USES)) {
+      throw MessageService.createError(
+        `사용 횟수는 1~${this.MAX_USES} 사이여야 합니다.`,
+        'INVALID_INVITE_MAX_USES'
+      );
+    }
+    if (typeof bypassPassword !== 'boolean') {
+      throw MessageService.createError('초대 설정이 올바르지 않습니다.', 'INVALID_INVITE');
+    }
+
+    const room = await RoomService.findRoom(roomId);
+    if (room.kind === 'dm') {
+      throw MessageService.createError('DM에는 초대 링크를 만들 수 없습니다.', 'DM_NOT_SUPPORTED');
+    }
+    RoomService.assertPermission(room, actorId, 'invite', '초대 링크를 만들 권한이 없습니다.');
+    if (bypassPassword && !Room.hasPermission(room, actorId, 'editRoom')) {
+      throw MessageService.createError(
+        '비밀번호 없이 입장하는 초대 링크는 방장만 만들 수 있습니다.',
+        'FORBIDDEN',
+        403
+      );
+    }
+
+    const activeCount = await RoomInvite.countDocuments({
+      room: room._id.toString(),
+      ...RoomInvite.usableFilter()
+    });
+    if (activeCount >= this.MAX_ACTIVE_INVITES_PER_ROOM) {
+      throw MessageService.createError(
+        `사용 가능한 초대 링크는 방마다 최대 ${this.MAX_ACTIVE_INVITES_PER_ROOM}개까지 만들 수 있습니다.`,
+        'INVITE_LIMIT_EXCEEDED'
+      );
+    }
+
+    const invite = await RoomInvite.create({
+      code: this.generateCode(),
+      room: room._id.toString(),
+      createdBy: actorId,
+      expiresAt: new Date(Date.now() + ttl * 1000),
+      maxUses: maxUses ?? null,
+      bypassPassword
+    });
+
+    return this.serialize(invite);
+  }
+
+  // 초대 링크 목록 (방장, 취소된 링크 제외)
+  static async list(roomId, actorId) {
+    const room = await RoomService.findRoom(roomId);
+    RoomService.assertPermission(room, actorId, 'editRoom', '초대 링크 목록을 조회할 권한이 없습니다.');
+
+    const invites = await RoomInvite.find({ room: room._id.toString(), revokedAt: null })
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return invites.map((invite) => this.serialize(invite));
+  }
+
+  // 초대 링크 취소 (방장 또는 링크를 만든 사용자)
+  static async revoke(roomId, inviteId, actorId) {
+    const invite = mongoose.Types.ObjectId.isValid(inviteId)
+      ? await RoomInvite.findOne({ _id: inviteId, room: roomId, revokedAt: null }).lean()
+      : null;
+    if (!invite) {
+      throw MessageService.createError('초대 링크를 찾을 수 없습니다.', 'INVITE_NOT_FOUND', 404);
+    }
+
+    const room = await RoomService.findRoom(roomId);
+    const isCreator = invite.createdBy.toString() === actorId.toString();
+    if (!isCreator && !Room.hasPermission(room, actorId, 'editRoom')) {
+      throw MessageService.createError('초대 링크를 취소할 권한이 없습니다.', 'FORBIDDEN', 403);
+    }
+
+    await RoomInvite.updateOne({ _id: invite._id }, { $set: { revokedAt: new Date() } });
+
+    return { _id: invite._id, room: invite.room };
+  }
+
+  // 초대 수락 (이미 참여 중이면 사용 횟수를 차감하지 않음)
+  static async accept(code, userId, { password } = {}) {
+    const invite = typeof code === 'string'
+      ? await RoomInvite.findOne({ code }).lean()
+      : null;
+    if (!invite) {
+      throw MessageService.createError('초대 링크를 찾을 수 없습니다.', 'INVITE_NOT_FOUND', 404);
+    }
+    if (!RoomInvite.isUsable(invite)) {
+      throw MessageService.createError('만료되었거나 더 이상 사용할 수 없는 초대 링크입니다.', 'INVITE_EXPIRED', 410);
+    }
+
+    const room = await Room.findById(invite.room).select('+bans');
+    if (!room || room.kind === 'dm') {
+      throw MessageService.createError('채팅방을 찾을 수 없습니다.', 'ROOM_NOT_FOUND', 404);
+    }
+    RoomService.assertNotBanned(room, userId);
+
+    if (Room.getMemberRole(room, userId)) {
+      return { room: await room.populate('participants', 'name email'), joined: false };
+    }
+
+    if (room.hasPassword && !invite.bypassPassword) {
+      const isPasswordValid = typeof password === 'string' && await room.checkPassword(password);
+      if (!isPasswordValid) {
+        throw MessageService.createError('비밀번호가 일치하지 않습니다.', 'INVALID_PASSWORD', 403);
+      }
+    }
+
+    // 동시에 수락해도 maxUses를 넘지 않도록 조건부로 사용 횟수 증가
+    const consumed = await RoomInvite.findOneAndUpdate(
+      { _id: invite._id, ...RoomInvite.usableFilter() },
+      { $inc: { uses: 1 } },
+      { new: true }
+    ).lean();
+    if (!consumed) {
+      throw MessageService.createError('만료되었거나 더 이상 사용할 수 없는 초대 링크입니다.', 'INVITE_EXPIRED', 410);
+    }
+
+    const joinedRoom = await Room.findOneAndUpdate(
+      { _id: room._id, bans: { $not: Room.activeBanFilter(userId) } },
+      { $addToSet: { participants: userId } },
+      { new: true }
+    ).populate('participants', 'name email');
+    if (!joinedRoom) {
+      await RoomInvite.updateOne({ _id: invite._id }, { $inc: { uses: -1 } });
+      throw MessageService.createError('채팅방 입장 권한이 없습니다.', 'FORBIDDEN', 403);
+    }
+
+    return { room: joinedRoom, joined: true };
+  }
+}
+
+module.exports = InviteService;
@@ -0,0 +1,306 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const Message = require('../models/Message');
+const redisClient = require('../utils/redisClient');
+const messageQueue = require('../utils/queue');
+const MessageService = require('./messageService');
+const { linkPreviewAllowedHosts } = require('../config/keys');
+
+// 내부망 접근(SSRF) 차단 대상 대역
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1)는 IPv4로 검사
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  const target = mapped ? mapped[1] : address;
+  const family = net.isIP(target);
+  if (!family) return true;
+  return blockedAddresses.check(target, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function isAllowedHost(hostname) {
+  return linkPreviewAllowedHosts.includes(hostname.toLowerCase());
+}
+
+// 실제 연결 직전에 확인하므로 리다이렉트와 DNS 리바인딩도 함께 차단됨
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!isAllowedHost(hostname) && addresses.some((entry) => isBlockedAddress(entry.address))) {
+      return callback(new Error(`Blocked private address for ${hostname}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+function assertPublicUrl(url) {
+  const parsed = new URL(url);
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Unsupported protocol: ${parsed.protocol}`);
+  }
+
+  // IP 주소로 직접 접근하면 lookup을 거치지 않으므로 여기서 확인
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && !isAllowedHost(hostname) && isBlockedAddress(hostname)) {
+    throw new Error(`Blocked private address: ${hostname}`);
+  }
+  return parsed;
+}
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+// 기본 fetcher: (url) => { url, contentType, body }
+async function defaultFetcher(url) {
+  assertPublicUrl(url);
+
+  const response = await axios.get(url, {
+    httpAgent,
+    httpsAgent,
+    timeout: LinkPreviewService.FETCH_TIMEOUT,
+    maxRedirects: LinkPreviewService.MAX_REDIRECTS,
+    maxContentLength: LinkPreviewService.MAX_CONTENT_LENGTH,
+    responseType: 'text',
+    headers: {
+      'User-Agent': 'BootcampChatLinkPreview/1.0',
+      Accept: 'text/html,application/xhtml+xml,application/json;q=0.9'
+    },
+    beforeRedirect: (options) => {
+      assertPublicUrl(options.href);
+    }
+  });
+
+  return {
+    url: response.request?.res?.responseUrl || url,
+    contentType: response.headers['content-type'] || '',
+    body: typeof response.data === 'string' ? response.data : JSON.stringify(response.data)
+  };
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)));
+}
+
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? decodeEntities(match[2] ?? match[3] ?? match[4] ?? '').trim() : null;
+}
+
+class LinkPreviewService {
+  static JOB_NAME = 'linkPreview';
+  static URL_REGEX = /https?:\/\/[^\s<>"'`]+/gi;
+  static MAX_URLS_PER_MESSAGE = 3;
+  static CACHE_PREFIX = 'link_preview:';
+  static CACHE_TTL = 24 * 60 * 60; // 24시간
+  static FAILURE_CACHE_TTL = 60 * 60; // 실패한 URL은 1시간 동안 재시도하지 않음
+  static FETCH_TIMEOUT = 5000;
+  static MAX_REDIRECTS = 3;
+  static MAX_CONTENT_LENGTH = 512 * 1024;
+  static TITLE_MAX_LENGTH = 200;
+  static DESCRIPTION_MAX_LENGTH = 300;
+
+  static fetcher = defaultFetcher;
+
+  // 테스트용 스텁 서버 등 다른 fetcher로 교체 (인자가 없으면 기본값으로 복원)
+  static setFetcher(fetcher) {
+    this.fetcher = fetcher || defaultFetcher;
+  }
+
+  static getCacheKey(url) {
+    return `${this.CACHE_PREFIX}${url}`;
+  }
+
+  static extractUrls(content) {
+    if (!content) return [];
+
+    const urls = [];
+    for (const match of content.matchAll(this.URL_REGEX)) {
+      // 문장 끝 구두점은 URL에서 제외
+      const url = match[0].replace(/[.,!?;:)\]}'"]+$/, '');
+      try {
+        const normalized = new URL(url).toString();
+        if (!urls.includes(normalized)) urls.push(normalized);
+      } catch {
+        // 잘못된 URL은 무시
+      }
+      if (urls.length >= this.MAX_URLS_PER_MESSAGE) break;
+    }
+    return urls;
+  }
+
+  static resolveUrl(value, baseUrl) {
+    if (!value) return null;
+    try {
+      const resolved = new URL(value, baseUrl);
+      return ['http:', 'https:'].includes(resolved.protocol) ? resolved.toString() : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Open Graph / Twitter 카드 / <title> 메타데이터 추출
+  static parseHtml(html, pageUrl) {
+    const meta = {};
+    for (const [tag] of html.matchAll(/<meta\s[^>]*>/gi)) {
+      const key = (getAttribute(tag, 'property') || getAttribute(tag, 'name') || '').toLowerCase();
+      const content = getAttribute(tag, 'content');
+      if (key && content && !(key in meta)) meta[key] = content;
+    }
+
+    const titleMatch = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+    const oembedTag = [...html.matchAll(/<link\s[^>]*>/gi)]
+      .map(([tag]) => tag)
+      .find((tag) => /application\/json\+oembed/i.test(getAttribute(tag, 'type') || ''));
+
+    return {
+      title: meta['og:title'] || meta['twitter:title'] || (titleMatch && decodeEntities(titleMatch[1]).trim()) || null,
+      description: meta['og:description'] || meta['twitter:description'] || meta.description || null,
+      image: this.resolveUrl(meta['og:image'] || meta['twitter:image'], pageUrl),
+      siteName: meta['og:site_name'] || null,
+      oembedUrl: oembedTag ? this.resolveUrl(getAttribute(oembedTag, 'href'), pageUrl) : null
+    };
+  }
+
+  static async fetchOEmbed(oembedUrl) {
+    try {
+      const { body } = await this.fetcher(oembedUrl);
+      const data = JSON.parse(body);
+      return {
+        title: data.title || null,
+        image: this.resolveUrl(data.thumbnail_url, oembedUrl),
+        siteName: data.provider_name || null
+      };
+    } catch (error) {
+      console.error('oEmbed fetch error:', { oembedUrl, message: error.message });
+      return {};
+    }
+  }
+
+  static async fetchPreview(url) {
+    const page = await this.fetcher(url);
+    if (!/text\/html|application\/xhtml\+xml/i.test(page.contentType)) return null;
+
+    const pageUrl = page.url || url;
+    const { oembedUrl, ...openGraph } = this.parseHtml(page.body, pageUrl);
+    const oembed = oembedUrl ? await this.fetchOEmbed(oembedUrl) : {};
+
+    const title = openGraph.title || oembed.title;
+    const description = openGraph.description;
+    if (!title && !description) return null;
+
+    return {
+      url,
+      title: title ? title.slice(0, this.TITLE_MAX_LENGTH) : null,
+      description: description ? description.slice(0, this.DESCRIPTION_MAX_LENGTH) : null,
+      image: openGraph.image || oembed.image || null,
+      siteName: openGraph.siteName || oembed.siteName || new URL(pageUrl).hostname
+    };
+  }
+
+  // URL 단위 Redis 캐시 (미리보기가 없는 URL도 짧게 캐시)
+  static async unfurl(url) {
+    const cacheKey = this.getCacheKey(url);
+    const cached = await redisClient.get(cacheKey);
+    if (cached) return cached.preview || null;
+
+    let preview = null;
+    try {
+      preview = await this.fetchPreview(url);
+    } catch (error) {
+      console.error('Link preview fetch error:', { url, message: error.message });
+    }
+
+    await redisClient.setEx(
+      cacheKey,
+      preview ? this.CACHE_TTL : this.FAILURE_CACHE_TTL,
+      { preview }
+    );
+    return preview;
+  }
+
+  static async enqueue(message) {
+    try {
+      if (message?.type !== 'text' || this.extractUrls(message.content).length === 0) return;
+      await messageQueue.add(
+        this.JOB_NAME,
+        { messageId: message._id.toString() },
+        { removeOnComplete: true, removeOnFail: 100 }
+      );
+    } catch (error) {
+      console.error('Link preview enqueue error:', error);
+    }
+  }
+
+  // 큐 워커: 미리보기를 Message.metadata에 저장하고 messageUpdated로 알림
+  static async processMessage(io, messageId) {
+    const message = await Message.findOne({ _id: messageId, isDeleted: { $ne: true } })
+      .select('room type content metadata')
+      .lean();
+    if (!message || message.type !== 'text') return null;
+
+    const urls = this.extractUrls(message.content);
+    const previews = (await Promise.all(urls.map((url) => this.unfurl(url)))).filter(Boolean);
+    if (previews.length === 0 && !message.metadata?.linkPreviews) return null;
+
+    // 그사이 수정된 메시지면 새 내용 기준 작업에 맡김
+    const update = previews.length
+      ? { $set: { 'metadata.linkPreviews': previews } }
+      : { $unset: { 'metadata.linkPreviews': '' } };
+    const result = await Message.updateOne(
+      { _id: message._id, content: message.content, isDeleted: { $ne: true } },
+      update
+    );
+    if (!result.matchedCount) return null;
+
+    const metadata = { ...(message.metadata || {}), linkPreviews: previews };
+    io.to(message.room).emit('messageUpdated', {
+      _id: message._id,
+      room: message.room,
+      metadata
+    });
+    await MessageService.patchLatestCache(message.room, message._id, { metadata });
+
+    return previews;
+  }
+
+  static startWorker(io) {
+    messageQueue.process(this.JOB_NAME, async (job) => {
+      await this.processMessage(io, job.data.messageId);
+    });
+    console.log('Link preview worker started');
+  }
+}
+
+module.exports = LinkPreviewService;
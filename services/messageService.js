@@ -0,0 +1,977 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const File = require('../models/File');
+const User = require('../models/User');
+const redisClient = require('../utils/redisClient');
+const { maxPinnedMessages } = require('../config/keys');
+
+class MessageService {
+  static LATEST_CACHE_PREFIX = 'chat:';
+  static LATEST_CACHE_TTL = 600; // 10분
+  static BATCH_SIZE = 50;
+  static REPLY_PREVIEW_LENGTH = 100;
+  static SEARCH_TYPES = ['text', 'file', 'ai'];
+  static SEARCH_SNIPPET_RADIUS = 40;
+  static CLIENT_MESSAGE_ID_MAX_LENGTH = 64;
+  static POLL_MIN_OPTIONS = 2;
+  static POLL_MAX_OPTIONS = 10;
+  static POLL_MAX_DURATION = 30 * 24 * 60 * 60 * 1000; // 30일
+  static REPLAY_LIMIT = 500;
+  static REPLAY_MAX_AGE = 24 * 60 * 60 * 1000; // 이보다 오래 끊겼으면 전체 재로딩
+
+  // 상태 코드와 에러 코드를 함께 가진 에러 생성 (socket, REST 공용)
+  static createError(message, code, status = 400) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+  }
+
+  static getLatestCacheKey(roomId) {
+    return `${this.LATEST_CACHE_PREFIX}${roomId}:latest`;
+  }
+
+  // 순번 비교 (순번 도입 이전 메시지는 항상 앞, 그끼리는 timestamp로 비교)
+  static compareMessages(a, b) {
+    if (a.seq != null && b.seq != null) return a.seq - b.seq;
+    if (a.seq != null) return 1;
+    if (b.seq != null) return -1;
+    return new Date(a.timestamp) - new Date(b.timestamp);
+  }
+
+  // 새 메시지를 latest 캐시에 순번 순서대로 삽입
+  static async appendToLatestCache(roomId, msg) {
+    const cacheKey = this.getLatestCacheKey(roomId);
+    const cachedData = await redisClient.get(cacheKey);
+    let messagesArr = [];
+    if (cachedData && cachedData.messages) {
+      messagesArr = cachedData.messages;
+    }
+
+    const message = msg.toObject ? msg.toObject() : msg;
+    // 여러 노드에서 동시에 갱신해도 같은 순서가 되도록 순번 위치에 삽입
+    const insertAt = messagesArr.findIndex(
+      (m) => this.compareMessages(m, message) > 0
+    );
+    if (insertAt === -1) {
+      messagesArr.push(message);
+    } else {
+      messagesArr.splice(insertAt, 0, message);
+    }
+
+    if (messagesArr.length > this.BATCH_SIZE) {
+      messagesArr.splice(0, messagesArr.length - this.BATCH_SIZE);
+    }
+
+    const hasMore = messagesArr.length === this.BATCH_SIZE;
+    const oldestTimestamp = messagesArr[0]?.timestamp || null;
+    const updatedResult = {
+      messages: messagesArr,
+      hasMore,
+      oldestTimestamp,
+      oldestSeq: messagesArr[0]?.seq ?? null,
+    };
+
+    await redisClient.setEx(cacheKey, this.LATEST_CACHE_TTL, updatedResult);
+    console.log(`[Redis] latest 캐시 업데이트: ${cacheKey}`);
+  }
+
+  // latest 캐시에 들어있는 메시지를 제자리에서 갱신
+  static async patchLatestCache(roomId, messageId, patch) {
+    const cacheKey = this.getLatestCacheKey(roomId);
+    const cachedData = await redisClient.get(cacheKey);
+    if (!cachedData || !Array.isArray(cachedData.messages)) return;
+
+    const index = cachedData.messages.findIndex(
+      (m) => m._id?.toString() === messageId.toString()
+    );
+    if (index === -1) return;
+
+    cachedData.messages[index] = { ...cachedData.messages[index], ...patch };
+
+    await redisClient.setEx(cacheKey, this.LATEST_CACHE_TTL, cachedData);
+    console.log(`[Redis] latest 캐시 메시지 갱신: ${cacheKey}`);
+  }
+
+  // latest 캐시에서 메시지 제거
+  static async removeFromLatestCache(roomId, messageId) {
+    const cacheKey = this.getLatestCacheKey(roomId);
+    const cachedData = await redisClient.get(cacheKey);
+    if (!cachedData || !Array.isArray(cachedData.messages)) return;
+
+    const messagesArr = cachedData.messages.filter(
+      (m) => m._id?.toString() !== messageId.toString()
+    );
+    if (messagesArr.length === cachedData.messages.length) return;
+
+    const updatedResult = {
+      ...cachedData,
+      messages: messagesArr,
+      oldestTimestamp: messagesArr[0]?.timestamp || null,
+      oldestSeq: messagesArr[0]?.seq ?? null,
+    };
+
+    await redisClient.setEx(cacheKey, this.LATEST_CACHE_TTL, updatedResult);
+    console.log(`[Redis] latest 캐시 메시지 제거: ${cacheKey}`);
+  }
+
+  // 스레드 원본의 답글 수/마지막 답글 작성자 갱신
+  static async updateThreadStats(parentId, replierId, delta = 1) {
+    const thread = await Message.registerThreadReply(parentId, replierId, delta);
+    if (!thread) return null;
+
+    const stats = {
+      replyCount: thread.replyCount,
+      lastReplier: thread.lastReplier,
+      lastReplyAt: thread.lastReplyAt,
+    };
+    await this.patchLatestCache(thread.room, thread._id, stats);
+
+    return { messageId: thread._id, room: thread.room, ...stats };
+  }
+
+  // 인용 답장 대상 메시지의 스냅샷 생성 (같은 방, 삭제되지 않은 메시지만)
+  static async createReplySnapshot(replyToId, roomId) {
+    const target = await Message.findOne({
+      _id: replyToId,
+      room: roomId,
+      isDeleted: { $ne: true },
+    })
+      .populate('file', 'originalname')
+      .lean();
+    if (!target) {
+      throw this.createError('답장할 메시지를 찾을 수 없습니다.', 'REPLY_TARGET_NOT_FOUND', 404);
+    }
+
+    const text = target.content || target.file?.originalname || '';
+
+    return {
+      message: target._id,
+      sender: target.sender,
+      type: target.type,
+      aiType: target.aiType,
+      preview: text.slice(0, this.REPLY_PREVIEW_LENGTH),
+    };
+  }
+
+  // 본문의 @이름 토큰을 방 참여자와 대조해 사용자 ID 목록으로 변환
+  static async resolveUserMentions(content, participantIds, senderId) {
+    if (!content || !content.includes('@') || !participantIds?.length) return [];
+
+    const participants = await User.find({
+      _id: { $in: participantIds, $ne: senderId },
+    })
+      .select('name')
+      .lean();
+
+    return participants
+      .filter((participant) => {
+        if (!participant.name) return false;
+        const escapedName = participant.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`@${escapedName}(?=$|[\\s.,!?:;)]|님)`, 'u').test(content);
+      })
+      .map((participant) => participant._id);
+  }
+
+  // 채팅방 고정 메시지 목록 (삭제된 메시지 제외)
+  static async getPinnedMessages(roomId) {
+    const room = await Room.findById(roomId)
+      .select('pinnedMessages')
+      .populate({
+        path: 'pinnedMessages.message',
+        select: 'room content type aiType sender file timestamp isDeleted',
+        populate: [
+          { path: 'sender', select: 'name email profileImage' },
+          { path: 'file', select: 'filename originalname mimetype size' },
+        ],
+      })
+      .populate('pinnedMessages.pinnedBy', 'name')
+      .lean();
+
+    return (room?.pinnedMessages || []).filter(
+      (pin) => pin.message && !pin.message.isDeleted
+    );
+  }
+
+  // 메시지 고정/해제 (pin 권한 필요, 방마다 최대 maxPinnedMessages개)
+  static async setPinned(roomId, messageId, userId, pinned = true) {
+    const room = await Room.findById(roomId)
+      .select('creator participants moderators kind pinnedMessages')
+      .lean();
+    if (!room) {
+      throw this.createError('채팅방을 찾을 수 없습니다.', 'ROOM_NOT_FOUND', 404);
+    }
+    if (!Room.hasPermission(room, userId, 'pin')) {
+      throw this.createError('메시지를 고정할 권한이 없습니다.', 'FORBIDDEN', 403);
+    }
+
+    if (!pinned) {
+      await Room.updateOne(
+        { _id: roomId },
+        { $pull: { pinnedMessages: { message: messageId } } }
+      );
+      return this.getPinnedMessages(roomId);
+    }
+
+    const message = await Message.findOne({
+      _id: messageId,
+      room: roomId.toString(),
+      isDeleted: { $ne: true },
+    })
+      .select('_id')
+      .lean();
+    if (!message) {
+      throw this.createError('메시지를 찾을 수 없습니다.', 'MESSAGE_NOT_FOUND', 404);
+    }
+
+    // 중복/개수 제한을 조건부 업데이트로 원자적으로 검사
+    const updated = await Room.findOneAndUpdate(
+      {
+        _id: roomId,
+        'pinnedMessages.message': { $ne: message._id },
+        [`pinnedMessages.${maxPinnedMessages - 1}`]: { $exists: false },
+      },
+      {
+        $push: {
+          pinnedMessages: { message: message._id, pinnedBy: userId, pinnedAt: new Date() },
+        },
+      },
+      { new: true }
+    )
+      .select('_id')
+      .lean();
+
+    if (!updated) {
+      const alreadyPinned = room.pinnedMessages?.some(
+        (pin) => pin.message.toString() === message._id.toString()
+      );
+      if (!alreadyPinned) {
+        throw this.createError(
+          `메시지는 최대 ${maxPinnedMessages}개까지 고정할 수 있습니다.`,
+          'PIN_LIMIT_EXCEEDED',
+          409
+        );
+      }
+    }
+
+    return this.getPinnedMessages(roomId);
+  }
+
+  // 메인 타임라인 메시지 조회 쿼리 (populate 포함)
+  static findTimelineMessages(query) {
+    return Message.find({ parentMessage: null, ...query, isDeleted: { $ne: true } })
+      .populate('sender', 'name email profileImage')
+      .populate('file', 'filename originalname mimetype size')
+      .populate('replyTo.sender', 'name profileImage');
+  }
+
+  // 타임라인 한 페이지 조회 (before: 최신순, after: 오래된순, 최대 limit개)
+  // 순번이 있는 메시지는 { room, seq } 부분 인덱스로, 순번 도입 이전 메시지는 { room, timestamp }
+  // 인덱스로 따로 조회해 이어 붙임 (이전 메시지는 항상 순번이 있는 메시지보다 오래됨)
+  // anchor: { seq } 또는 순번 도입 이전 구간의 { timestamp }, 없으면 가장 최근부터
+  static async findTimelinePage(query, { anchor = null, direction = 'before', limit }) {
+    const find = (extra, sort, count) =>
+      this.findTimelineMessages({ ...query, ...extra }).sort(sort).limit(count).lean();
+    const hasSeq = anchor?.seq != null;
+
+    if (direction === 'before') {
+      const sequenced = !anchor || hasSeq
+        ? await find({ seq: { $exists: true, ...(hasSeq && { $lt: anchor.seq }) } }, { seq: -1 }, limit)
+        : [];
+      if (sequenced.length >= limit) return sequenced;
+
+      const oldest = sequenced[sequenced.length - 1];
+      const before = oldest?.timestamp || (!hasSeq && anchor?.timestamp);
+      const legacy = await find(
+        {
+          seq: { $exists: false },
+          ...(before && { timestamp: { [oldest ? '$lte' : '$lt']: before } })
+        },
+        { timestamp: -1 },
+        limit - sequenced.length
+      );
+      return [...sequenced, ...legacy];
+    }
+
+    const legacy = hasSeq
+      ? []
+      : await find({ seq: { $exists: false }, timestamp: { $gt: anchor.timestamp } }, { timestamp: 1 }, limit);
+    if (legacy.length >= limit) return legacy;
+
+    const sequenced = await find(
+      { seq: { $exists: true, ...(hasSeq && { $gt: anchor.seq }) } },
+      { seq: 1 },
+      limit - legacy.length
+    );
+    return [...legacy, ...sequenced];
+  }
+
+  // 메시지 또는 timestamp 커서를 타임라인 기준점으로 변환
+  static toTimelineAnchor(message) {
+    return message.seq != null ? { seq: message.seq } : { timestamp: message.timestamp };
+  }
+
+  // timestamp 커서(이 시각 이전) -> 기준점: 커서 이후 가장 오래된 메시지의 위치
+  static async resolveTimestampCursor(roomId, before) {
+    const timestamp = new Date(before);
+    if (isNaN(timestamp)) {
+      throw this.createError('올바르지 않은 커서입니다.', 'INVALID_CURSOR');
+    }
+
+    const pivot = await Message.findOne({ room: roomId, timestamp: { $gte: timestamp } })
+      .sort({ timestamp: 1 })
+      .select('seq timestamp')
+      .lean();
+    if (!pivot) return null;
+    return pivot.seq != null ? { seq: pivot.seq } : { timestamp };
+  }
+
+  // 메시지 히스토리 조회 (before/after/around 메시지 ID 또는 beforeSeq/afterSeq 순번 커서)
+  static async getMessageHistory(roomId, { before, after, around, beforeSeq, afterSeq, limit } = {}) {
+    const pageSize = Math.min(Math.max(1, parseInt(limit) || this.BATCH_SIZE), 100);
+    const anchorId = before || after || around;
+    const seqCursor = beforeSeq ?? afterSeq;
+    const loadAfter = !!after || afterSeq != null;
+
+    let anchor = null;
+    let anchorMessage = null;
+    if (seqCursor != null) {
+      // 백필된 이전 메시지는 0 이하의 순번을 가질 수 있음
+      const seq = Number(seqCursor);
+      if (!Number.isInteger(seq)) {
+        throw this.createError('올바르지 않은 순번입니다.', 'INVALID_CURSOR');
+      }
+      anchor = { seq };
+    } else if (anchorId) {
+      if (!mongoose.Types.ObjectId.isValid(anchorId)) {
+        throw this.createError('올바르지 않은 메시지 ID입니다.', 'INVALID_CURSOR');
+      }
+      anchorMessage = await Message.findOne({ _id: anchorId, room: roomId })
+        .select('_id timestamp seq')
+        .lean();
+      if (!anchorMessage) {
+        throw this.createError('기준 메시지를 찾을 수 없습니다.', 'MESSAGE_NOT_FOUND', 404);
+      }
+      anchor = this.toTimelineAnchor(anchorMessage);
+    }
+
+    const loadOlder = async (count, fromAnchor) => {
+      const messages = await this.findTimelinePage(
+        { room: roomId },
+        { anchor: fromAnchor, direction: 'before', limit: count + 1 }
+      );
+      return { messages: messages.slice(0, count).reverse(), hasMore: messages.length > count };
+    };
+
+    const loadNewer = async (count, fromAnchor) => {
+      const messages = await this.findTimelinePage(
+        { room: roomId },
+        { anchor: fromAnchor, direction: 'after', limit: count + 1 }
+      );
+      return { messages: messages.slice(0, count), hasMore: messages.length > count };
+    };
+
+    if (loadAfter) {
+      const newer = await loadNewer(pageSize, anchor);
+      return { messages: newer.messages, hasMoreBefore: true, hasMoreAfter: newer.hasMore };
+    }
+
+    if (around) {
+      const olderCount = Math.floor((pageSize - 1) / 2);
+      const [older, center, newer] = await Promise.all([
+        loadOlder(olderCount, anchor),
+        this.findTimelineMessages({ _id: anchorMessage._id }).lean(),
+        loadNewer(pageSize - 1 - olderCount, anchor),
+      ]);
+      return {
+        messages: [...older.messages, ...center, ...newer.messages],
+        hasMoreBefore: older.hasMore,
+        hasMoreAfter: newer.hasMore,
+      };
+    }
+
+    const older = await loadOlder(pageSize, anchor);
+    return { messages: older.messages, hasMoreBefore: older.hasMore, hasMoreAfter: !!anchor };
+  }
+
+  static escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // 검색 커서: 마지막 결과의 timestamp와 _id를 base64url로 인코딩
+  static encodeSearchCursor(message) {
+    return Buffer.from(
+      JSON.stringify({ t: new Date(message.timestamp).getTime(), id: message._id.toString() })
+    ).toString('base64url');
+  }
+
+  static decodeSearchCursor(cursor) {
+    try {
+      const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (!Number.isFinite(t) || !mongoose.Types.ObjectId.isValid(id)) return null;
+      return { timestamp: new Date(t), id: new mongoose.Types.ObjectId(id) };
+    } catch {
+      return null;
+    }
+  }
+
+  // 본문에서 검색어가 등장하는 위치와 주변 스니펫 계산
+  static buildHighlights(content, terms) {
+    if (!content) return { snippet: '', highlights: [] };
+
+    const highlights = [];
+    const lowerContent = content.toLowerCase();
+    for (const term of terms) {
+      const lowerTerm = term.toLowerCase();
+      let index = lowerContent.indexOf(lowerTerm);
+      while (index !== -1) {
+        highlights.push({ start: index, length: term.length });
+        index = lowerContent.indexOf(lowerTerm, index + lowerTerm.length);
+      }
+    }
+    highlights.sort((a, b) => a.start - b.start);
+
+    const firstMatch = highlights[0]?.start || 0;
+    const snippetStart = Math.max(0, firstMatch - this.SEARCH_SNIPPET_RADIUS);
+    const snippetEnd = Math.min(
+      content.length,
+      firstMatch + this.SEARCH_SNIPPET_RADIUS * 2
+    );
+
+    return {
+      snippet: content.slice(snippetStart, snippetEnd),
+      snippetOffset: snippetStart,
+      highlights,
+    };
+  }
+
+  // 메시지 검색 (roomIds: 호출자가 참여 중인 방 목록)
+  static async searchMessages(roomIds, { q, sender, type, aiType, from, to, hasFile, cursor, limit = 20 } = {}) {
+    const keyword = typeof q === 'string' ? q.trim() : '';
+    if (!keyword) {
+      throw this.createError('검색어를 입력해주세요.', 'INVALID_QUERY');
+    }
+    if (keyword.length > 100) {
+      throw this.createError('검색어는 100자를 초과할 수 없습니다.', 'INVALID_QUERY');
+    }
+
+    const terms = keyword.split(/\s+/).filter(Boolean);
+    const query = {
+      room: { $in: roomIds },
+      isDeleted: { $ne: true },
+    };
+
+    // 한글이 포함되면 2-gram 인덱스로 후보를 줄이고 정규식으로 확인,
+    // 그 외에는 텍스트 인덱스(모든 단어 포함)를 사용
+    const ngrams = Message.toSearchNgrams(keyword).filter((ngram) => ngram.length > 1);
+    if (/[\uac00-\ud7a3\u3131-\u318e]/.test(keyword)) {
+      query.$and = terms.map((term) => ({
+        content: { $regex: this.escapeRegex(term), $options: 'i' },
+      }));
+      // 2-gram이 없는 이전 메시지(scripts/backfillSearchNgrams.js 실행 전)는 정규식만으로 확인
+      if (ngrams.length > 0) {
+        query.$and.push({
+          $or: [
+            { searchNgrams: { $all: ngrams } },
+            { searchNgrams: { $exists: false } },
+          ],
+        });
+      }
+    } else {
+      query.$text = { $search: terms.map((term) => `"${term.replace(/"/g, '')}"`).join(' ') };
+    }
+
+    if (sender) {
+      if (!mongoose.Types.ObjectId.isValid(sender)) {
+        throw this.createError('올바르지 않은 사용자 ID입니다.', 'INVALID_QUERY');
+      }
+      query.sender = sender;
+    }
+    if (type) {
+      if (!this.SEARCH_TYPES.includes(type)) {
+        throw this.createError('지원하지 않는 메시지 타입입니다.', 'INVALID_QUERY');
+      }
+      query.type = type;
+    }
+    if (aiType) query.aiType = aiType;
+    if (hasFile === 'true' || hasFile === true) query.file = { $exists: true, $ne: null };
+    if (hasFile === 'false' || hasFile === false) query.file = { $in: [null] };
+
+    if (from || to) {
+      query.timestamp = {};
+      if (from) query.timestamp.$gte = new Date(from);
+      if (to) query.timestamp.$lte = new Date(to);
+      if (Object.values(query.timestamp).some((date) => isNaN(date))) {
+        throw this.createError('올바르지 않은 날짜 형식입니다.', 'INVALID_QUERY');
+      }
+    }
+
+    if (cursor) {
+      const decoded = this.decodeSearchCursor(cursor);
+      if (!decoded) {
+        throw this.createError('올바르지 않은 커서입니다.', 'INVALID_CURSOR');
+      }
+      query.$or = [
+        { timestamp: { $lt: decoded.timestamp } },
+        { timestamp: decoded.timestamp, _id: { $lt: decoded.id } },
+      ];
+    }
+
+    const pageSize = Math.min(Math.max(1, parseInt(limit) || 20), 50);
+    const messages = await Message.find(query)
+      .populate('sender', 'name email profileImage')
+      .populate('file', 'filename originalname mimetype size')
+      .select('-readers')
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(pageSize + 1)
+      .lean();
+
+    const hasMore = messages.length > pageSize;
+    const results = messages.slice(0, pageSize).map((message) => ({
+      ...message,
+      ...this.buildHighlights(message.content, terms),
+    }));
+
+    return {
+      results,
+      hasMore,
+      nextCursor: hasMore ? this.encodeSearchCursor(results[results.length - 1]) : null,
+    };
+  }
+
+  // 투표 생성 요청 검증 (선택지 중복 제거, 마감 시간 확인)
+  static normalizePoll(poll) {
+    if (!poll || !Array.isArray(poll.options)) {
+      throw this.createError('투표 선택지가 올바르지 않습니다.', 'INVALID_POLL');
+    }
+
+    const texts = [...new Set(
+      poll.options
+        .map((option) => (typeof option === 'string' ? option : option?.text))
+        .filter((text) => typeof text === 'string')
+        .map((text) => text.trim())
+        .filter(Boolean)
+    )];
+    if (texts.length < this.POLL_MIN_OPTIONS || texts.length > this.POLL_MAX_OPTIONS) {
+      throw this.createError(
+        `투표 선택지는 ${this.POLL_MIN_OPTIONS}~${this.POLL_MAX_OPTIONS}개여야 합니다.`,
+        'INVALID_POLL'
+      );
+    }
+
+    let closesAt;
+    if (poll.closesAt) {
+      closesAt = new Date(poll.closesAt);
+      const duration = closesAt.getTime() - Date.now();
+      if (isNaN(duration) || duration <= 0 || duration > this.POLL_MAX_DURATION) {
+        throw this.createError('투표 마감 시간이 올바르지 않습니다.', 'INVALID_POLL');
+      }
+    }
+
+    return {
+      options: texts.map((text) => ({ text })),
+      multipleChoice: !!poll.multipleChoice,
+      anonymous: !!poll.anonymous,
+      ...(closesAt && { closesAt }),
+    };
+  }
+
+  static isValidClientMessageId(clientMessageId) {
+    return typeof clientMessageId === 'string' &&
+      clientMessageId.length > 0 &&
+      clientMessageId.length <= this.CLIENT_MESSAGE_ID_MAX_LENGTH;
+  }
+
+  // 메시지 저장 및 방송 (socket chatMessage, REST 전송 공용)
+  // sender: { id, name, profileImage }, 빈 텍스트 메시지는 null 반환
+  static async sendMessage(io, sender, messageData) {
+    if (!messageData) {
+      throw this.createError('메시지 데이터가 없습니다.', 'INVALID_MESSAGE');
+    }
+
+    const { room, type, content, fileData } = messageData;
+    if (!room) {
+      throw this.createError('채팅방 정보가 없습니다.', 'INVALID_MESSAGE');
+    }
+    if (messageData.clientMessageId !== undefined &&
+        !this.isValidClientMessageId(messageData.clientMessageId)) {
+      throw this.createError('clientMessageId 형식이 올바르지 않습니다.', 'INVALID_CLIENT_MESSAGE_ID');
+    }
+
+    const chatRoom = await Room.findOne({
+      _id: room,
+      participants: sender.id,
+    });
+    if (!chatRoom) {
+      throw this.createError('채팅방 접근 권한이 없습니다.', 'FORBIDDEN', 403);
+    }
+    if (!Room.hasPermission(chatRoom, sender.id, 'post')) {
+      throw this.createError('메시지를 보낼 권한이 없습니다.', 'FORBIDDEN', 403);
+    }
+
+    let parentMessage = null;
+    if (messageData.parentMessage) {
+      parentMessage = await Message.findOne({
+        _id: messageData.parentMessage,
+        room,
+        isDeleted: { $ne: true },
+      })
+        .select('parentMessage')
+        .lean();
+      if (!parentMessage) {
+        throw this.createError('스레드 원본 메시지를 찾을 수 없습니다.', 'THREAD_NOT_FOUND', 404);
+      }
+      if (parentMessage.parentMessage) {
+        throw this.createError('스레드 답글에는 답글을 달 수 없습니다.', 'INVALID_THREAD');
+      }
+    }
+
+    const replyTo = messageData.replyTo
+      ? await this.createReplySnapshot(messageData.replyTo, room)
+      : null;
+
+    let message;
+    switch (type) {
+      case 'file': {
+        if (!fileData || !fileData._id) {
+          throw this.createError('파일 데이터가 올바르지 않습니다.', 'INVALID_FILE');
+        }
+        const file = await File.findOne({
+          _id: fileData._id,
+          user: sender.id,
+        });
+        if (!file) {
+          throw this.createError('파일을 찾을 수 없거나 접근 권한이 없습니다.', 'FILE_NOT_FOUND', 404);
+        }
+
+        message = new Message({
+          room,
+          sender: sender.id,
+          type: 'file',
+          file: file._id,
+          content: content || '',
+          timestamp: new Date(),
+          reactions: {},
+          metadata: {
+            fileType: file.mimetype,
+            fileSize: file.size,
+            originalName: file.originalname,
+          },
+        });
+        break;
+      }
+
+      case 'text': {
+        const messageContent = content?.trim() || messageData.msg?.trim();
+        if (!messageContent) return null;
+
+        message = new Message({
+          room,
+          sender: sender.id,
+          content: messageContent,
+          type: 'text',
+          format: messageData.format === 'markdown' ? 'markdown' : 'plain',
+          timestamp: new Date(),
+          reactions: {},
+        });
+        break;
+      }
+
+      case 'poll': {
+        const question = content?.trim();
+        if (!question) {
+          throw this.createError('투표 질문을 입력해주세요.', 'INVALID_POLL');
+        }
+
+        message = new Message({
+          room,
+          sender: sender.id,
+          content: question,
+          type: 'poll',
+          poll: this.normalizePoll(messageData.poll),
+          timestamp: new Date(),
+          reactions: {},
+        });
+        break;
+      }
+
+      default:
+        throw this.createError('지원하지 않는 메시지 타입입니다.', 'INVALID_TYPE');
+    }
+
+    if (parentMessage) message.parentMessage = parentMessage._id;
+    if (replyTo) message.replyTo = replyTo;
+    if (messageData.clientMessageId) message.clientMessageId = messageData.clientMessageId;
+    message.mentions = await this.resolveUserMentions(
+      message.content,
+      chatRoom.participants,
+      sender.id
+    );
+
+    // DB에 메시지 저장
+    await message.save();
+
+    try {
+      await message.populate([
+        { path: 'sender', select: 'name email profileImage' },
+        { path: 'file', select: 'filename originalname mimetype size' },
+        { path: 'replyTo.sender', select: 'name profileImage' },
+      ]);
+
+      if (parentMessage) {
+        io.to(room).emit('threadMessage', message);
+        const threadUpdate = await this.updateThreadStats(parentMessage._id, sender.id);
+        if (threadUpdate) io.to(room).emit('threadUpdated', threadUpdate);
+      } else {
+        io.to(room).emit('message', message);
+
+        const otherParticipants = chatRoom.participants
+          .map((id) => id.toString())
+          .filter((id) => id !== sender.id);
+        if (otherParticipants.length > 0) {
+          // 읽음 상태(roomUnreadUpdate)와 구분해 안 읽은 수 1 증가만 알림
+          io.to(otherParticipants).emit('roomUnreadIncrement', {
+            roomId: room,
+            lastMessage: { _id: message._id, timestamp: message.timestamp },
+          });
+        }
+      }
+
+      // 사용자 멘션 알림 (개인 소켓 룸으로 전송)
+      for (const userId of message.mentions) {
+        io.to(userId.toString()).emit('mentioned', {
+          messageId: message._id,
+          room,
+          roomName: chatRoom.name,
+          sender: {
+            _id: sender.id,
+            name: sender.name,
+            profileImage: sender.profileImage,
+          },
+          content: message.content,
+          parentMessage: message.parentMessage,
+          timestamp: message.timestamp,
+        });
+      }
+
+      // 스레드 답글은 메인 타임라인 캐시에 넣지 않음
+      if (!parentMessage) {
+        await this.appendToLatestCache(room, message);
+      }
+    } catch (error) {
+      // 저장 이후 실패는 재시도 시 중복 전송되지 않도록 저장된 메시지를 함께 알림
+      error.savedMessage = message;
+      throw error;
+    }
+
+    return message;
+  }
+
+  // 재연결 시 놓친 변경분의 기준 시각 (마지막으로 본 순번/메시지 또는 타임스탬프)
+  static async resolveReplaySince(roomId, { lastSeq, lastMessageId, since } = {}) {
+    const anchorQuery = Number.isInteger(lastSeq)
+      ? { room: roomId, seq: lastSeq }
+      : lastMessageId && mongoose.Types.ObjectId.isValid(lastMessageId)
+        ? { _id: lastMessageId, room: roomId }
+        : null;
+    if (anchorQuery) {
+      const lastMessage = await Message.findOne(anchorQuery)
+        .select('createdAt')
+        .lean();
+      if (lastMessage) return lastMessage.createdAt;
+    }
+
+    const sinceDate = since ? new Date(since) : null;
+    return sinceDate && !isNaN(sinceDate.getTime()) ? sinceDate : null;
+  }
+
+  // since 이후 변경된 메시지를 실시간 이벤트와 같은 형태로 순서대로 재구성
+  static async getReplayEvents(roomId, { lastSeq, lastMessageId, since } = {}) {
+    const sinceDate = await this.resolveReplaySince(roomId, { lastSeq, lastMessageId, since });
+    if (!sinceDate || Date.now() - sinceDate.getTime() > this.REPLAY_MAX_AGE) {
+      return { events: [], truncated: true, since: null };
+    }
+
+    const messages = await Message.find({
+      room: roomId,
+      updatedAt: { $gt: sinceDate },
+    })
+      .populate('sender', 'name email profileImage')
+      .populate({
+        path: 'file',
+        select: 'filename originalname mimetype size',
+      })
+      .populate('replyTo.sender', 'name profileImage')
+      .populate('lastReplier', 'name profileImage')
+      .sort({ updatedAt: 1, seq: 1, _id: 1 })
+      .limit(this.REPLAY_LIMIT + 1)
+      .lean();
+
+    const truncated = messages.length > this.REPLAY_LIMIT;
+    const events = [];
+
+    for (const message of messages.slice(0, this.REPLAY_LIMIT)) {
+      const isNew = Number.isInteger(lastSeq) && message.seq != null
+        ? message.seq > lastSeq
+        : message.createdAt > sinceDate &&
+          message._id.toString() !== lastMessageId?.toString();
+
+      if (message.isDeleted) {
+        // 끊긴 사이에 생성되고 삭제된 메시지는 클라이언트가 모르므로 생략
+        if (isNew) continue;
+        events.push({
+          event: 'messageDeleted',
+          data: {
+            _id: message._id,
+            room: message.room,
+            type: message.type,
+            parentMessage: message.parentMessage,
+            isDeleted: true,
+            deletedBy: message.deletedBy,
+            deletedAt: message.deletedAt,
+          },
+        });
+        continue;
+      }
+
+      if (isNew) {
+        events.push({
+          event: message.parentMessage ? 'threadMessage' : 'message',
+          data: message,
+        });
+        continue;
+      }
+
+      if (message.isEdited && message.editedAt > sinceDate) {
+        events.push({
+          event: 'messageUpdated',
+          data: {
+            _id: message._id,
+            room: message.room,
+            content: message.content,
+            format: message.format,
+            html: message.html,
+            isEdited: message.isEdited,
+            editedAt: message.editedAt,
+          },
+        });
+      }
+
+      // 답글 삭제는 lastReplyAt을 바꾸지 않으므로 스레드가 있으면 현재 통계를 전달
+      if (message.lastReplyAt) {
+        events.push({
+          event: 'threadUpdated',
+          data: {
+            messageId: message._id,
+            room: message.room,
+            replyCount: message.replyCount,
+            lastReplier: message.lastReplier,
+            lastReplyAt: message.lastReplyAt,
+          },
+        });
+      }
+
+      if (message.type === 'poll') {
+        events.push({ event: 'pollUpdated', data: Message.getPollTally(message) });
+      }
+
+      // 리액션은 변경 시각을 따로 기록하지 않으므로 현재 상태를 그대로 전달
+      events.push({
+        event: 'messageReactionUpdate',
+        data: { messageId: message._id, reactions: message.reactions || {} },
+      });
+    }
+
+    return { events, truncated, since: sinceDate };
+  }
+
+  // 메시지 수정 이력 조회 (deleteMessages 권한이 있는 방장/운영자만)
+  static async getEditHistory(roomId, messageId, userId) {
+    const room = await Room.findById(roomId)
+      .select('creator participants moderators kind')
+      .lean();
+    if (!room) {
+      throw this.createError('채팅방을 찾을 수 없습니다.', 'ROOM_NOT_FOUND', 404);
+    }
+    if (!Room.hasPermission(room, userId, 'deleteMessages')) {
+      throw this.createError('수정 이력을 볼 권한이 없습니다.', 'FORBIDDEN', 403);
+    }
+
+    const message = mongoose.Types.ObjectId.isValid(messageId)
+      ? await Message.findOne({ _id: messageId, room: roomId, isDeleted: { $ne: true } })
+        .select('+editHistory')
+        .lean()
+      : null;
+    if (!message) {
+      throw this.createError('메시지를 찾을 수 없습니다.', 'MESSAGE_NOT_FOUND', 404);
+    }
+
+    return {
+      messageId: message._id,
+      content: message.content,
+      isEdited: !!message.isEdited,
+      editedAt: message.editedAt || null,
+      editHistory: message.editHistory || [],
+    };
+  }
+
+  // 메시지 삭제 (보낸 사람 또는 deleteMessages 권한이 있는 방장/운영자)
+  static async deleteMessage(messageId, userId, { roomId, deleteFile = false } = {}) {
+    if (!messageId) {
+      throw this.createError('메시지 정보가 없습니다.', 'INVALID_MESSAGE');
+    }
+
+    const message = await Message.findById(messageId);
+    if (!message || message.isDeleted || (roomId && message.room !== roomId)) {
+      throw this.createError('메시지를 찾을 수 없습니다.', 'MESSAGE_NOT_FOUND', 404);
+    }
+
+    const room = await Room.findById(message.room)
+      .select('creator participants moderators kind')
+      .lean();
+    const isSender = message.sender?.toString() === userId;
+    if (!isSender && !Room.hasPermission(room, userId, 'deleteMessages')) {
+      throw this.createError('메시지를 삭제할 권한이 없습니다.', 'FORBIDDEN', 403);
+    }
+
+    await message.softDelete(userId);
+
+    // 파일 메시지는 요청 시 S3 객체까지 삭제 (File deleteOne 후크)
+    if (deleteFile && message.type === 'file' && message.file) {
+      try {
+        const file = await File.findById(message.file);
+        if (file) await file.deleteOne();
+      } catch (error) {
+        console.error('Message file removal error:', {
+          error,
+          messageId: message._id,
+          fileId: message.file,
+        });
+      }
+    }
+
+    await this.removeFromLatestCache(message.room, message._id);
+    await Room.updateOne(
+      { _id: message.room },
+      { $pull: { pinnedMessages: { message: message._id } } }
+    );
+
+    const thread = message.parentMessage
+      ? await this.updateThreadStats(message.parentMessage, userId, -1)
+      : null;
+
+    return {
+      _id: message._id,
+      room: message.room,
+      type: message.type,
+      parentMessage: message.parentMessage,
+      isDeleted: true,
+      deletedBy: message.deletedBy,
+      deletedAt: message.deletedAt,
+      ...(thread && { thread }),
+    };
+  }
+}
+
+module.exports = MessageService;
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const MessageService = require('./messageService');
+
+class PollService {
+  static async findPoll(messageId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      throw MessageService.createError('투표를 찾을 수 없습니다.', 'POLL_NOT_FOUND', 404);
+    }
+
+    const message = await Message.findOne({
+      _id: messageId,
+      type: 'poll',
+      isDeleted: { $ne: true }
+    })
+      .select('+poll.options.voters')
+      .lean();
+    if (!message) {
+      throw MessageService.createError('투표를 찾을 수 없습니다.', 'POLL_NOT_FOUND', 404);
+    }
+
+    const room = await Room.findOne({ _id: message.room, participants: userId })
+      .select('creator participants moderators kind')
+      .lean();
+    if (!room) {
+      throw MessageService.createError('채팅방 접근 권한이 없습니다.', 'FORBIDDEN', 403);
+    }
+
+    return { message, room };
+  }
+
+  static getMyVotes(message, userId) {
+    return (message.poll?.options || [])
+      .filter((option) => (option.voters || []).some((id) => id.toString() === userId))
+      .map((option) => option._id);
+  }
+
+  // latest 캐시에는 투표자 목록 없이 집계만 반영
+  static async patchCache(message) {
+    const poll = {
+      ...message.poll,
+      options: message.poll.options.map(({ voters, ...option }) => option)
+    };
+    await MessageService.patchLatestCache(message.room, message._id, { poll });
+  }
+
+  static async getPoll(messageId, userId) {
+    const { message } = await this.findPoll(messageId, userId);
+    return {
+      tally: Message.getPollTally(message),
+      myVotes: this.getMyVotes(message, userId)
+    };
+  }
+
+  // 내 선택을 optionIds로 교체 (빈 배열이면 투표 취소)
+  static async vote(messageId, userId, optionIds) {
+    const { message } = await this.findPoll(messageId, userId);
+
+    const tally = Message.getPollTally(message);
+    if (tally.isClosed) {
+      throw MessageService.createError('마감된 투표입니다.', 'POLL_CLOSED', 409);
+    }
+
+    const selected = [...new Set(Array.isArray(optionIds) ? optionIds.map(String) : [])];
+    const validIds = new Set(message.poll.options.map((option) => option._id.toString()));
+    if (selected.some((id) => !validIds.has(id))) {
+      throw MessageService.createError('존재하지 않는 선택지입니다.', 'INVALID_POLL_OPTION');
+    }
+    if (!message.poll.multipleChoice && selected.length > 1) {
+      throw MessageService.createError('하나의 선택지만 고를 수 있습니다.', 'INVALID_POLL_OPTION');
+    }
+
+    const voter = new mongoose.Types.ObjectId(userId);
+    const selectedIds = selected.map((id) => new mongoose.Types.ObjectId(id));
+
+    // 읽고-수정-저장 대신 파이프라인 업데이트로 한 번에 반영해 동시 투표 유실 방지
+    const updated = await Message.findOneAndUpdate(
+      {
+        _id: message._id,
+        'poll.closedAt': null,
+        $or: [
+          { 'poll.closesAt': null },
+          { 'poll.closesAt': { $gt: new Date() } }
+        ]
+      },
+      [
+        {
+          $set: {
+            'poll.options': {
+              $map: {
+                input: '$poll.options',
+                as: 'option',
+                in: {
+                  $let: {
+                    vars: {
+                      voters: {
+                        $cond: [
+                          { $in: ['$$option._id', selectedIds] },
+                          { $setUnion: [{ $ifNull: ['$$option.voters', []] }, [voter]] },
+                          { $setDifference: [{ $ifNull: ['$$option.voters', []] }, [voter]] }
+                        ]
+                      }
+                    },
+                    in: {
+                      $mergeObjects: [
+                        '$$option',
+                        { voters: '$$voters', voteCount: { $size: '$$voters' } }
+                      ]
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        {
+          $set: {
+            'poll.voterCount': {
+              $size: {
+                $reduce: {
+                  input: '$poll.options.voters',
+                  initialValue: [],
+                  in: { $setUnion: ['$$value', '$$this'] }
+                }
+              }
+            },
+            updatedAt: '$$NOW'
+          }
+        }
+      ],
+      { new: true, timestamps: false }
+    )
+      .select('+poll.options.voters')
+      .lean();
+
+    if (!updated) {
+      throw MessageService.createError('마감된 투표입니다.', 'POLL_CLOSED', 409);
+    }
+
+    await this.patchCache(updated);
+
+    return {
+      tally: Message.getPollTally(updated),
+      myVotes: this.getMyVotes(updated, userId)
+    };
+  }
+
+  // 투표 마감 (투표 작성자 또는 방장/운영자)
+  static async close(messageId, userId) {
+    const { message, room } = await this.findPoll(messageId, userId);
+
+    const isAuthor = message.sender?.toString() === userId;
+    if (!isAuthor && !Room.hasPermission(room, userId, 'deleteMessages')) {
+      throw MessageService.createError('투표를 마감할 권한이 없습니다.', 'FORBIDDEN', 403);
+    }
+
+    const updated = await Message.findOneAndUpdate(
+      { _id: message._id, 'poll.closedAt': null },
+      { $set: { 'poll.closedAt': new Date(), 'poll.closedBy': userId } },
+      { new: true }
+    )
+      .select('+poll.options.voters')
+      .lean();
+    if (!updated) {
+      throw MessageService.createError('이미 마감된 투표입니다.', 'POLL_CLOSED', 409);
+    }
+
+    await this.patchCache(updated);
+
+    return Message.getPollTally(updated);
+  }
+}
+
+module.exports = PollService;
@@ -0,0 +1,133 @@
+const redisClient = require('../utils/redisClient');
+const SessionService = require('./sessionService');
+const User = require('../models/User');
+
+class PresenceService {
+  static PRESENCE_TTL = 90; // 하트비트가 끊기면 90초 후 offline
+  static IDLE_THRESHOLD = 5 * 60 * 1000; // 5분간 활동이 없으면 idle
+  static PRESENCE_PREFIX = 'presence:';
+  static CUSTOM_STATUS_PREFIX = 'presence_status:';
+  static CUSTOM_STATUS_MAX_LENGTH = 100;
+
+  static getPresenceKey(userId) {
+    return `${this.PRESENCE_PREFIX}${userId}`;
+  }
+
+  static getCustomStatusKey(userId) {
+    return `${this.CUSTOM_STATUS_PREFIX}${userId}`;
+  }
+
+  static async setOnline(userId) {
+    return this.heartbeat(userId, { idle: false });
+  }
+
+  // 클라이언트 하트비트: TTL 연장 및 세션 활동 시간 갱신
+  static async heartbeat(userId, { idle = false } = {}) {
+    try {
+      if (!userId) {
+        console.error('heartbeat: userId is required');
+        return null;
+      }
+
+      const presenceKey = this.getPresenceKey(userId);
+      const previous = SessionService.safeParse(await redisClient.get(presenceKey));
+      const now = Date.now();
+
+      const presenceData = {
+        status: idle ? 'idle' : 'online',
+        lastActivity: idle ? previous?.lastActivity || now : now,
+        updatedAt: now
+      };
+
+      await redisClient.setEx(presenceKey, this.PRESENCE_TTL, presenceData);
+      if (!idle) {
+        await SessionService.updateLastActivity(userId);
+      }
+
+      const presence = await this.getPresence(userId);
+      return {
+        ...presence,
+        changed: previous?.status !== presence.status
+      };
+    } catch (error) {
+      console.error('Presence heartbeat error:', error);
+      return null;
+    }
+  }
+
+  static async setCustomStatus(userId, customStatus) {
+    try {
+      const text = typeof customStatus === 'string'
+        ? customStatus.trim().slice(0, this.CUSTOM_STATUS_MAX_LENGTH)
+        : '';
+
+      if (text) {
+        await redisClient.set(this.getCustomStatusKey(userId), text);
+      } else {
+        await redisClient.del(this.getCustomStatusKey(userId));
+      }
+
+      return this.getPresence(userId);
+    } catch (error) {
+      console.error('Set custom status error:', error);
+      return null;
+    }
+  }
+
+  static async setOffline(userId) {
+    try {
+      const presenceKey = this.getPresenceKey(userId);
+      const previous = SessionService.safeParse(await redisClient.get(presenceKey));
+      await redisClient.del(presenceKey);
+      await User.updateOne({ _id: userId }, { lastActive: new Date() });
+
+      return {
+        userId,
+        status: 'offline',
+        customStatus: await this.getCustomStatus(userId),
+        lastSeen: previous?.updatedAt || Date.now()
+      };
+    } catch (error) {
+      console.error('Set offline error:', error);
+      return null;
+    }
+  }
+
+  static async getCustomStatus(userId) {
+    const customStatus = await redisClient.get(this.getCustomStatusKey(userId));
+    return customStatus ? String(customStatus) : '';
+  }
+
+  static async getPresence(userId) {
+    try {
+      const presenceData = SessionService.safeParse(
+        await redisClient.get(this.getPresenceKey(userId))
+      );
+      const customStatus = await this.getCustomStatus(userId);
+
+      if (!presenceData) {
+        return { userId, status: 'offline', customStatus, lastSeen: null };
+      }
+
+      // 하트비트는 오지만 활동이 없는 경우 idle로 간주
+      const isIdle = presenceData.status === 'idle' ||
+        Date.now() - presenceData.lastActivity > this.IDLE_THRESHOLD;
+
+      return {
+        userId,
+        status: isIdle ? 'idle' : 'online',
+        customStatus,
+        lastSeen: presenceData.updatedAt
+      };
+    } catch (error) {
+      console.error('Get presence error:', error);
+      return { userId, status: 'offline', customStatus: '', lastSeen: null };
+    }
+  }
+
+  static async getBatchPresence(userIds) {
+    return Promise.all(userIds.map((userId) => this.getPresence(userId)));
+  }
+}
+
+module.exports = PresenceService;
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const MessageService = require('./messageService');
+const { maxReactionsPerMessage } = require('../config/keys');
+
+class ReactionService {
+  static EMOJI_MAX_LENGTH = 32;
+  static MAX_ALLOWED_REACTIONS = 50;
+
+  // Map 키로 저장되므로 '.'이나 '$'로 시작하는 값은 허용하지 않음
+  static normalizeEmoji(emoji) {
+    const value = typeof emoji === 'string' ? emoji.trim() : '';
+    if (!value || value.length > this.EMOJI_MAX_LENGTH || value.includes('.') || value.startsWith('$')) {
+      throw MessageService.createError('올바르지 않은 리액션입니다.', 'INVALID_REACTION');
+    }
+    return value;
+  }
+
+  // 리액션 추가/제거 (채팅방 참여자만, 방의 허용 목록과 최대 종류 수 확인)
+  static async react(messageId, userId, emoji, type) {
+    if (type !== 'add' && type !== 'remove') {
+      throw MessageService.createError('올바르지 않은 리액션 요청입니다.', 'INVALID_REACTION');
+    }
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      throw MessageService.createError('메시지를 찾을 수 없습니다.', 'MESSAGE_NOT_FOUND', 404);
+    }
+    const reaction = this.normalizeEmoji(emoji);
+
+    const message = await Message.findOne({ _id: messageId, isDeleted: { $ne: true } })
+      .select('room')
+      .lean();
+    if (!message) {
+      throw MessageService.createError('메시지를 찾을 수 없습니다.', 'MESSAGE_NOT_FOUND', 404);
+    }
+
+    const room = await Room.findOne({ _id: message.room, participants: userId })
+      .select('allowedReactions')
+      .lean();
+    if (!room) {
+      throw MessageService.createError('채팅방 접근 권한이 없습니다.', 'FORBIDDEN', 403);
+    }
+
+    let updated;
+    if (type === 'add') {
+      if (room.allowedReactions?.length && !room.allowedReactions.includes(reaction)) {
+        throw MessageService.createError('이 채팅방에서 사용할 수 없는 리액션입니다.', 'REACTION_NOT_ALLOWED', 403);
+      }
+
+      updated = await Message.addReaction(message._id, reaction, userId, {
+        maxDistinct: maxReactionsPerMessage
+      });
+      if (!updated) {
+        throw MessageService.createError(
+          `메시지당 리액션은 최대 ${maxReactionsPerMessage}종류까지 가능합니다.`,
+          'REACTION_LIMIT_EXCEEDED'
+        );
+      }
+    } else {
+      updated = await Message.removeReaction(message._id, reaction, userId);
+      if (!updated) {
+        throw MessageService.createError('메시지를 찾을 수 없습니다.', 'MESSAGE_NOT_FOUND', 404);
+      }
+    }
+
+    const reactions = updated.reactions || {};
+    await MessageService.patchLatestCache(updated.room, updated._id, { reactions });
+
+    return { messageId: updated._id, room: updated.room, reactions };
+  }
+
+  // 허용 리액션 목록 설정 (editRoom 권한, 빈 배열 또는 null이면 제한 해제)
+  static async setAllowedReactions(roomId, userId, allowedReactions) {
+    if (allowedReactions != null && !Array.isArray(allowedReactions)) {
+      throw MessageService.createError('허용 리액션 목록이 올바르지 않습니다.', 'INVALID_REACTION');
+    }
+
+    const reactions = [...new Set((allowedReactions || []).map((emoji) => this.normalizeEmoji(emoji)))];
+    if (reactions.length > this.MAX_ALLOWED_REACTIONS) {
+      throw MessageService.createError(
+        `허용 리액션은 최대 ${this.MAX_ALLOWED_REACTIONS}개까지 설정할 수 있습니다.`,
+        'INVALID_REACTION'
+      );
+    }
+
+    const room = mongoose.Types.ObjectId.isValid(roomId)
+      ? await Room.findById(roomId).select('creator participants moderators kind').lean()
+      : null;
+    if (!room) {
+      throw MessageService.createError('채팅방을 찾을 수 없습니다.', 'ROOM_NOT_FOUND', 404);
+    }
+    if (!Room.hasPermission(room, userId, 'editRoom')) {
+      throw MessageService.createError('허용 리액션을 설정할 권한이 없습니다.', 'FORBIDDEN', 403);
+    }
+
+    const update = reactions.length
+      ? { $set: { allowedReactions: reactions } }
+      : { $unset: { allowedReactions: '' } };
+    await Room.updateOne({ _id: roomId }, update);
+
+    return reactions;
+  }
+}
+
+module.exports = ReactionService;
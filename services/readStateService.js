@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const RoomReadState = require('../models/RoomReadState');
+
+class ReadStateService {
+  static UNREAD_COUNT_CAP = 100; // 이 이상은 클라이언트에서 "99+"로 표시
+  static READERS_DETAIL_MAX_PARTICIPANTS = 20; // 이하인 방만 메시지별 readers 기록
+
+  static isDetailedMode(participantsCount) {
+    return participantsCount <= this.READERS_DETAIL_MAX_PARTICIPANTS;
+  }
+
+  // 메인 타임라인에서 다른 사용자가 보낸 메시지만 계산 (시스템 메시지와 스레드 답글 제외)
+  static getBaseUnreadQuery(userId) {
+    return {
+      parentMessage: null,
+      isDeleted: { $ne: true },
+      type: { $ne: 'system' },
+      sender: { $ne: new mongoose.Types.ObjectId(userId) }
+    };
+  }
+
+  static getUnreadQuery(userId, roomId, lastReadAt) {
+    const query = { room: roomId, ...this.getBaseUnreadQuery(userId) };
+    if (lastReadAt) query.timestamp = { $gt: lastReadAt };
+    return query;
+  }
+
+  // 주어진 메시지들 중 가장 최근 메시지까지 커서를 전진 (뒤로는 이동하지 않음)
+  static async advanceCursor(userId, roomId, messageIds) {
+    if (!userId || !roomId || !messageIds?.length) return null;
+
+    const latest = await Message.findOne({ _id: { $in: messageIds }, room: roomId })
+      .sort({ timestamp: -1 })
+      .select('_id timestamp')
+      .lean();
+    if (!latest) return null;
+
+    const filter = { user: userId, room: roomId };
+    await RoomReadState.updateOne(
+      filter,
+      { $max: { lastReadAt: latest.timestamp } },
+      { upsert: true }
+    );
+    await RoomReadState.updateOne(
+      { ...filter, lastReadAt: latest.timestamp },
+      { $set: { lastReadMessage: latest._id } }
+    );
+
+    return this.getRoomReadState(userId, roomId);
+  }
+
+  static async getRoomReadState(userId, roomId) {
+    const readState = await RoomReadState.findOne({ user: userId, room: roomId }).lean();
+    const unreadCount = await this.getUnreadCount(userId, roomId, readState?.lastReadAt);
+
+    return {
+      roomId,
+      lastReadMessage: readState?.lastReadMessage || null,
+      lastReadAt: readState?.lastReadAt || null,
+      unreadCount
+    };
+  }
+
+  static async getUnreadCount(userId, roomId, lastReadAt) {
+    return Message.countDocuments(
+      this.getUnreadQuery(userId, roomId, lastReadAt),
+      { limit: this.UNREAD_COUNT_CAP }
+    );
+  }
+
+  // 채팅방 목록용 일괄 조회: { roomId: unreadCount }
+  static async getUnreadCounts(userId, rooms) {
+    const roomIds = rooms.map((room) => room._id.toString());
+    const readStates = await RoomReadState.find({ user: userId, room: { $in: roomIds } }).lean();
+    const readStateMap = new Map(readStates.map((state) => [state.room, state]));
+
+    // 한 번도 읽지 않았고 참여하지 않은 방은 안 읽은 메시지로 세지 않음
+    const roomConditions = [];
+    for (const room of rooms) {
+      const roomId = room._id.toString();
+      const readState = readStateMap.get(roomId);
+      const isParticipant = (room.participants || []).some(
+        (p) => (p?._id || p)?.toString() === userId
+      );
+      if (!readState && !isParticipant) continue;
+
+      roomConditions.push(readState?.lastReadAt
+        ? { room: roomId, timestamp: { $gt: readState.lastReadAt } }
+        : { room: roomId });
+    }
+
+    const counts = Object.fromEntries(roomIds.map((roomId) => [roomId, 0]));
+    if (roomConditions.length === 0) return counts;
+
+    // 방마다 countDocuments를 호출하지 않고 한 번의 집계로 계산하되, 방별로 상한까지만 읽음
+    const baseQuery = this.getBaseUnreadQuery(userId);
+    const [firstRoom, ...otherRooms] = roomConditions.map((condition) => [
+      { $match: { ...baseQuery, ...condition } },
+      { $limit: this.UNREAD_COUNT_CAP },
+      { $project: { room: 1 } }
+    ]);
+    const grouped = await Message.aggregate([
+      ...firstRoom,
+      ...otherRooms.map((pipeline) => ({
+        $unionWith: { coll: Message.collection.name, pipeline }
+      })),
+      { $group: { _id: '$room', count: { $sum: 1 } } }
+    ]);
+    for (const { _id, count } of grouped) {
+      counts[_id] = count;
+    }
+
+    return counts;
+  }
+}
+
+module.exports = ReadStateService;
@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const File = require('../models/File');
+const RoomReadState = require('../models/RoomReadState');
+const RoomInvite = require('../models/RoomInvite');
+const RoomSequence = require('../models/RoomSequence');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const redisClient = require('../utils/redisClient');
+const MessageService = require('./messageService');
+const ScheduledMessageService = require('./scheduledMessageService');
+
+class RoomService {
+  static NAME_MAX_LENGTH = 100;
+  static BAN_REASON_MAX_LENGTH = 200;
+  static MAX_BAN_DURATION = 365 * 24 * 60 * 60; // 초 단위, 1년
+
+  static async findRoom(roomId, select = 'creator participants moderators kind') {
+    const room = mongoose.Types.ObjectId.isValid(roomId)
+      ? await Room.findById(roomId).select(select).lean()
+      : null;
+    if (!room) {
+      throw MessageService.createError('채팅방을 찾을 수 없습니다.', 'ROOM_NOT_FOUND', 404);
+    }
+    return room;
+  }
+
+  static assertPermission(room, userId, permission, message = '권한이 없습니다.') {
+    if (!Room.hasPermission(room, userId, permission)) {
+      throw MessageService.createError(message, 'FORBIDDEN', 403);
+    }
+  }
+
+  // DM에서는 강퇴/차단/역할 변경/설정 변경을 지원하지 않음
+  static assertNotDirect(room) {
+    if (room.kind === 'dm') {
+      throw MessageService.createError('DM에서는 지원하지 않는 기능입니다.', 'DM_NOT_SUPPORTED');
+    }
+  }
+
+  // 사용자의 역할과 권한 목록 (클라이언트가 불가능한 동작을 숨기는 데 사용)
+  static getAccess(room, userId) {
+    const myRole = Room.getMemberRole(room, userId);
+    return { myRole, permissions: Room.getPermissions(myRole) };
+  }
+
+  // 운영자 지정/해제 (manageRoles 권한, 방장 역할은 변경 불가)
+  static async setMemberRole(roomId, actorId, targetUserId, role) {
+    if (!['moderator', 'member'].includes(role)) {
+      throw MessageService.createError('지정할 수 없는 역할입니다.', 'INVALID_ROLE');
+    }
+
+    const room = await this.findRoom(roomId);
+    this.assertNotDirect(room);
+    this.assertPermission(room, actorId, 'manageRoles', '역할을 변경할 권한이 없습니다.');
+
+    const currentRole = Room.getMemberRole(room, targetUserId);
+    if (!currentRole) {
+      throw MessageService.createError('채팅방 참여자가 아닙니다.', 'MEMBER_NOT_FOUND', 404);
+    }
+    if (currentRole === 'owner') {
+      throw MessageService.createError('방장의 역할은 변경할 수 없습니다.', 'INVALID_ROLE');
+    }
+
+    if (currentRole !== role) {
+      const update = role === 'moderator'
+        ? { $addToSet: { moderators: targetUserId } }
+        : { $pull: { moderators: targetUserId } };
+      // 그사이 나간 사용자는 지정하지 않음
+      await Room.updateOne({ _id: room._id, participants: targetUserId }, update);
+    }
+
+    return {
+      roomId: room._id,
+      userId: targetUserId,
+      role,
+      permissions: Room.getPermissions(role)
+    };
+  }
+
+  // 방 이름/비밀번호 변경 (방장, password가 null이나 빈 문자열이면 비밀번호 해제)
+  static async updateRoom(roomId, actorId, { name, password } = {}) {
+    const room = await this.findRoom(roomId);
+    this.assertNotDirect(room);
+    this.assertPermission(room, actorId, 'editRoom', '채팅방 설정을 변경할 권한이 없습니다.');
+
+    if (name === undefined && password === undefined) {
+      throw MessageService.createError('변경할 항목이 없습니다.', 'NO_CHANGES');
+    }
+
+    const doc = await Room.findById(room._id).select('+password');
+    if (name !== undefined) {
+      const roomName = typeof name === 'string' ? name.trim() : '';
+      if (!roomName) {
+        throw MessageService.createError('방 이름은 필수입니다.', 'INVALID_ROOM_NAME');
+      }
+      if (roomName.length > this.NAME_MAX_LENGTH) {
+        throw MessageService.createError(
+          `방 이름은 ${this.NAME_MAX_LENGTH}자 이하여야 합니다.`,
+          'INVALID_ROOM_NAME'
+        );
+      }
+      doc.name = roomName;
+    }
+    if (password !== undefined) {
+      if (password !== null && typeof password !== 'string') {
+        throw MessageService.createError('비밀번호가 올바르지 않습니다.', 'INVALID_PASSWORD');
+      }
+      // 해싱과 hasPassword 갱신은 pre('save') 훅에서 처리
+      doc.password = password || undefined;
+    }
+    await doc.save();
+
+    return Room.findById(room._id)
+      .populate('creator', 'name email')
+      .populate('participants', 'name email')
+      .lean();
+  }
+
+  // 채팅방 삭제 (방장, 메시지/첨부 파일/읽음 상태/예약 메시지/초대 링크까지 함께 삭제)
+  static async deleteRoom(roomId, actorId) {
+    const room = await this.findRoom(roomId);
+    this.assertPermission(room, actorId, 'deleteRoom', '채팅방을 삭제할 권한이 없습니다.');
+
+    // 방을 먼저 지워 삭제 중 새 메시지가 저장되지 않도록 함
+    await Room.deleteOne({ _id: room._id });
+
+    const roomKey = room._id.toString();
+    const fileIds = await Message.distinct('file', { room: roomKey, file: { $ne: null } });
+    const files = await File.find({ _id: { $in: fileIds } });
+    for (const file of files) {
+      try {
+        // 문서 단위 deleteOne 훅에서 S3 객체도 삭제
+        await file.deleteOne();
+      } catch (error) {
+        console.error('Room file removal error:', { fileId: file._id, message: error.message });
+      }
+    }
+
+    const pendingSchedules = await ScheduledMessage.find({ room: roomKey, status: 'pending' })
+      .select('_id scheduledAt')
+      .lean();
+    await Promise.all(pendingSchedules.map((schedule) => ScheduledMessageService.dequeue(schedule)));
+
+    await Promise.all([
+      Message.deleteMany({ room: roomKey }),
+      ScheduledMessage.deleteMany({ room: roomKey }),
+      RoomReadState.deleteMany({ room: roomKey }),
+      RoomInvite.deleteMany({ room: roomKey }),
+      RoomSequence.deleteOne({ _id: roomKey }),
+      redisClient.del(MessageService.getLatestCacheKey(roomKey))
+    ]);
+
+    return { roomId: roomKey, kind: room.kind || 'room' };
+  }
+
+  // 강퇴/차단 대상 확인 (본인, 방장, 같은 등급 이상의 운영자는 대상이 될 수 없음)
+  static assertCanModerate(room, actorId, targetUserId) {
+    if (actorId.toString() === targetUserId.toString()) {
+      throw MessageService.createError('자기 자신은 대상으로 지정할 수 없습니다.', 'INVALID_TARGET');
+    }
+
+    const actorRole = Room.getMemberRole(room, actorId);
+    const targetRole = Room.getMemberRole(room, targetUserId);
+    if (targetRole === 'owner' || (targetRole === 'moderator' && actorRole !== 'owner')) {
+      throw MessageService.createError('이 사용자를 내보낼 권한이 없습니다.', 'FORBIDDEN', 403);
+    }
+    return targetRole;
+  }
+
+  static async findTargetUser(userId) {
+    const user = mongoose.Types.ObjectId.isValid(userId)
+      ? await User.findById(userId).select('name email').lean()
+      : null;
+    if (!user) {
+      throw MessageService.createError('사용자를 찾을 수 없습니다.', 'USER_NOT_FOUND', 404);
+    }
+    return user;
+  }
+
+  // 참여자 목록과 운영자 목록에서 제거하고 갱신된 참여자 목록 반환 (직접 퇴장/강퇴/차단)
+  static async removeMember(roomId, userId, extraUpdate = {}) {
+    const room = await Room.findByIdAndUpdate(
+      roomId,
+      {
+        ...extraUpdate,
+        $pull: { participants: userId, moderators: userId }
+      },
+      { new: true }
+    ).populate('participants', 'name email profileImage');
+    return room?.participants || [];
+  }
+
+  // 강퇴 (kick 권한, 다시 입장할 수 있음)
+  static async kick(roomId, actorId, targetUserId) {
+    const room = await this.findRoom(roomId);
+    this.assertNotDirect(room);
+    this.assertPermission(room, actorId, 'kick', '참여자를 강퇴할 권한이 없습니다.');
+
+    const targetRole = this.assertCanModerate(room, actorId, targetUserId);
+    if (!targetRole) {
+      throw MessageService.createError('채팅방 참여자가 아닙니다.', 'MEMBER_NOT_FOUND', 404);
+    }
+
+    const user = await this.findTargetUser(targetUserId);
+    const participants = await this.removeMember(room._id, targetUserId);
+
+    return { user, participants };
+  }
+
+  // 차단 (ban 권한, duration(초)이 없으면 영구 차단, 참여하지 않은 사용자도 차단 가능)
+  static async ban(roomId, actorId, targetUserId, { duration, reason } = {}) {
+    if (
+      duration != null &&
+      (!Number.isInteger(duration) || duration <= 0 || duration > this.MAX_BAN_DURATION)
+    ) {
+      throw MessageService.createError('차단 기간이 올바르지 않습니다.', 'INVALID_BAN_DURATION');
+    }
+    if (reason != null && typeof reason !== 'string') {
+      throw MessageService.createError('차단 사유가 올바르지 않습니다.', 'INVALID_BAN_REASON');
+    }
+    const banReason = reason?.trim() || undefined;
+    if (banReason && banReason.length > this.BAN_REASON_MAX_LENGTH) {
+      throw MessageService.createError(
+        `차단 사유는 ${this.BAN_REASON_MAX_LENGTH}자 이하여야 합니다.`,
+        'INVALID_BAN_REASON'
+      );
+    }
+
+    const room = await this.findRoom(roomId);
+    this.assertNotDirect(room);
+    this.assertPermission(room, actorId, 'ban', '참여자를 차단할 권한이 없습니다.');
+    this.assertCanModerate(room, actorId, targetUserId);
+
+    const user = await this.findTargetUser(targetUserId);
+
+    const ban = {
+      user: user._id,
+      bannedBy: actorId,
+      reason: banReason,
+      expiresAt: duration ? new Date(Date.now() + duration * 1000) : null,
+      createdAt: new Date()
+    };
+
+    // 같은 필드에 $pull과 $push를 함께 쓸 수 없으므로 기존 차단 정보를 먼저 제거
+    await Room.updateOne({ _id: room._id }, { $pull: { bans: { user: user._id } } });
+    const participants = await this.removeMember(room._id, user._id, {
+      $push: { bans: ban }
+    });
+
+    return { user, ban, participants };
+  }
+
+  // 차단 해제 (ban 권한)
+  static async unban(roomId, actorId, targetUserId) {
+    const room = await this.findRoom(roomId);
+    this.assertNotDirect(room);
+    this.assertPermission(room, actorId, 'ban', '차단을 해제할 권한이 없습니다.');
+
+    const result = mongoose.Types.ObjectId.isValid(targetUserId)
+      ? await Room.updateOne(
+        { _id: room._id, 'bans.user': targetUserId },
+        { $pull: { bans: { user: targetUserId } } }
+      )
+      : { modifiedCount: 0 };
+    if (!result.modifiedCount) {
+      throw MessageService.createError('차단된 사용자가 아닙니다.', 'BAN_NOT_FOUND', 404);
+    }
+
+    return { roomId: room._id, userId: targetUserId };
+  }
+
+  // 차단 목록 (ban 권한, 만료된 차단은 제외)
+  static async getBans(roomId, actorId) {
+    const room = await this.findRoom(roomId);
+    this.assertPermission(room, actorId, 'ban', '차단 목록을 조회할 권한이 없습니다.');
+
+    const { bans = [] } = await Room.findById(room._id)
+      .select('+bans')
+      .populate('bans.user', 'name email profileImage')
+      .populate('bans.bannedBy', 'name email')
+      .lean();
+
+    const now = new Date();
+    return bans
+      .filter((ban) => ban.user && (!ban.expiresAt || ban.expiresAt > now))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // 내보낸 사용자의 소켓을 모든 노드에서 방에서 제거하고 시스템 메시지로 알림
+  static async announceRemoval(io, roomId, { user, participants }, { event, content, payload = {} }) {
+    const room = roomId.toString();
+    io.in(user._id.toString()).socketsLeave(room);
+    io.to(user._id.toString()).emit(event, { roomId: room, ...payload });
+
+    const systemMessage = await Message.create({
+      room,
+      content,
+      type: 'system',
+      timestamp: new Date()
+    });
+    io.to(room).emit('message', systemMessage);
+    await MessageService.appendToLatestCache(room, systemMessage);
+
+    io.to(room).emit('participantsUpdate', participants);
+  }
+
+  // 차단 여부 확인 (입장 시 사용)
+  static assertNotBanned(room, userId) {
+    const ban = Room.getActiveBan(room, userId);
+    if (ban) {
+      const error = MessageService.createError(
+        ban.expiresAt
+          ? '차단 기간이 끝난 후 입장할 수 있습니다.'
+          : '이 채팅방에서 차단되었습니다.',
+        'BANNED',
+        403
+      );
+      error.ban = { reason: ban.reason || null, expiresAt: ban.expiresAt || null };
+      throw error;
+    }
+  }
+}
+
+module.exports = RoomService;
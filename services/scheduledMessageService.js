@@ -0,0 +1,273 @@
+const mongoose = require('mongoose');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const messageQueue = require('../utils/queue');
+const MessageService = require('./messageService');
+const LinkPreviewService = require('./linkPreviewService');
+const { respondToMentions } = require('./aiChatService');
+
+class ScheduledMessageService {
+  static JOB_NAME = 'scheduledMessage';
+  static MIN_DELAY = 10 * 1000; // 최소 10초 뒤
+  static MAX_SCHEDULE_AHEAD = 30 * 24 * 60 * 60 * 1000; // 최대 30일 뒤
+  static MAX_PENDING_PER_ROOM = 50;
+  static CONTENT_MAX_LENGTH = 10000;
+
+  // 예약 시각마다 다른 잡 ID 사용 (같은 ID로 다시 추가하면 Bull이 무시하므로)
+  static getJobId(scheduledMessage) {
+    return `scheduled:${scheduledMessage._id}:${new Date(scheduledMessage.scheduledAt).getTime()}`;
+  }
+
+  static validateContent(content) {
+    const text = typeof content === 'string' ? content.trim() : '';
+    if (!text) {
+      throw MessageService.createError('메시지 내용을 입력해주세요.', 'EMPTY_MESSAGE');
+    }
+    if (text.length > this.CONTENT_MAX_LENGTH) {
+      throw MessageService.createError('메시지는 10000자를 초과할 수 없습니다.', 'MESSAGE_TOO_LONG');
+    }
+    return text;
+  }
+
+  static validateScheduledAt(scheduledAt) {
+    const date = new Date(scheduledAt);
+    if (!scheduledAt || isNaN(date.getTime())) {
+      throw MessageService.createError('예약 시간이 올바르지 않습니다.', 'INVALID_SCHEDULE');
+    }
+
+    const delay = date.getTime() - Date.now();
+    if (delay < this.MIN_DELAY) {
+      throw MessageService.createError('예약 시간은 현재보다 이후여야 합니다.', 'INVALID_SCHEDULE');
+    }
+    if (delay > this.MAX_SCHEDULE_AHEAD) {
+      throw MessageService.createError('30일 이후로는 예약할 수 없습니다.', 'INVALID_SCHEDULE');
+    }
+    return date;
+  }
+
+  static async assertParticipant(roomId, userId) {
+    const room = mongoose.Types.ObjectId.isValid(roomId)
+      ? await Room.exists({ _id: roomId, participants: userId })
+      : null;
+    if (!room) {
+      throw MessageService.createError('채팅방 접근 권한이 없습니다.', 'FORBIDDEN', 403);
+    }
+  }
+
+  static async enqueue(scheduledMessage) {
+    await messageQueue.add(
+      this.JOB_NAME,
+      {
+        scheduledMessageId: scheduledMessage._id.toString(),
+        scheduledAt: scheduledMessage.scheduledAt.toISOString()
+      },
+      {
+        jobId: this.getJobId(scheduledMessage),
+        delay: Math.max(0, scheduledMessage.scheduledAt.getTime() - Date.now()),
+        removeOnComplete: true,
+        removeOnFail: 100
+      }
+    );
+  }
+
+  static async dequeue(scheduledMessage) {
+    try {
+      const job = await messageQueue.getJob(this.getJobId(scheduledMessage));
+      if (job) await job.remove();
+    } catch (error) {
+      // 잡 제거에 실패해도 워커가 상태와 예약 시각을 확인하고 건너뜀
+      console.error('Scheduled message dequeue error:', error);
+    }
+  }
+
+  static async findPending(roomId, scheduledMessageId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(scheduledMessageId)) {
+      throw MessageService.createError('예약 메시지를 찾을 수 없습니다.', 'SCHEDULED_MESSAGE_NOT_FOUND', 404);
+    }
+
+    const scheduledMessage = await ScheduledMessage.findOne({
+      _id: scheduledMessageId,
+      room: roomId,
+      sender: userId
+    });
+    if (!scheduledMessage) {
+      throw MessageService.createError('예약 메시지를 찾을 수 없습니다.', 'SCHEDULED_MESSAGE_NOT_FOUND', 404);
+    }
+    if (scheduledMessage.status !== 'pending') {
+      throw MessageService.createError('이미 전송되었거나 취소된 예약 메시지입니다.', 'SCHEDULED_MESSAGE_CLOSED', 409);
+    }
+    return scheduledMessage;
+  }
+
+  static async create(roomId, userId, { content, format, scheduledAt } = {}) {
+    await this.assertParticipant(roomId, userId);
+
+    const text = this.validateContent(content);
+    const date = this.validateScheduledAt(scheduledAt);
+
+    const pendingCount = await ScheduledMessage.countDocuments({
+      room: roomId,
+      sender: userId,
+      status: 'pending'
+    });
+    if (pendingCount >= this.MAX_PENDING_PER_ROOM) {
+      throw MessageService.createError(
+        `예약 메시지는 채팅방당 최대 ${this.MAX_PENDING_PER_ROOM}개까지 등록할 수 있습니다.`,
+        'SCHEDULE_LIMIT_EXCEEDED'
+      );
+    }
+
+    const scheduledMessage = await ScheduledMessage.create({
+      room: roomId,
+      sender: userId,
+      content: text,
+      format: format === 'markdown' ? 'markdown' : 'plain',
+      scheduledAt: date
+    });
+
+    try {
+      await this.enqueue(scheduledMessage);
+    } catch (error) {
+      await ScheduledMessage.deleteOne({ _id: scheduledMessage._id });
+      throw error;
+    }
+
+    return scheduledMessage;
+  }
+
+  // 본인이 예약한 메시지 목록 (기본: 대기 중인 것만)
+  static async list(roomId, userId, { status = 'pending' } = {}) {
+    await this.assertParticipant(roomId, userId);
+    if (status !== 'all' && !ScheduledMessage.schema.path('status').enumValues.includes(status)) {
+      throw MessageService.createError('올바르지 않은 상태 값입니다.', 'INVALID_STATUS');
+    }
+
+    const query = { room: roomId, sender: userId };
+    if (status !== 'all') query.status = status;
+
+    return ScheduledMessage.find(query)
+      .sort({ scheduledAt: 1 })
+      .lean();
+  }
+
+  static async update(roomId, scheduledMessageId, userId, { content, format, scheduledAt } = {}) {
+    await this.assertParticipant(roomId, userId);
+    const scheduledMessage = await this.findPending(roomId, scheduledMessageId, userId);
+
+    const update = {};
+    if (content !== undefined) update.content = this.validateContent(content);
+    if (format !== undefined) update.format = format === 'markdown' ? 'markdown' : 'plain';
+    if (scheduledAt !== undefined) update.scheduledAt = this.validateScheduledAt(scheduledAt);
+    if (Object.keys(update).length === 0) return scheduledMessage;
+
+    // 워커가 이미 가져간 경우(sending)에는 수정하지 않음
+    const updated = await ScheduledMessage.findOneAndUpdate(
+      { _id: scheduledMessage._id, status: 'pending' },
+      { $set: update },
+      { new: true }
+    );
+    if (!updated) {
+      throw MessageService.createError('이미 전송되었거나 취소된 예약 메시지입니다.', 'SCHEDULED_MESSAGE_CLOSED', 409);
+    }
+
+    if (update.scheduledAt) {
+      // 이전 잡이 남아 있어도 예약 시각이 달라 워커가 건너뜀
+      await this.dequeue(scheduledMessage);
+      await this.enqueue(updated);
+    }
+
+    return updated;
+  }
+
+  static async cancel(roomId, scheduledMessageId, userId) {
+    const scheduledMessage = await this.findPending(roomId, scheduledMessageId, userId);
+
+    const canceled = await ScheduledMessage.findOneAndUpdate(
+      { _id: scheduledMessage._id, status: 'pending' },
+      { $set: { status: 'canceled' } },
+      { new: true }
+    );
+    if (!canceled) {
+      throw MessageService.createError('이미 전송되었거나 취소된 예약 메시지입니다.', 'SCHEDULED_MESSAGE_CLOSED', 409);
+    }
+
+    await this.dequeue(canceled);
+    return canceled;
+  }
+
+  // 큐 워커: chatMessage와 같은 저장/방송 경로로 전송
+  // scheduledAt: 잡을 추가할 때의 예약 시각 (그사이 시각이 바뀐 이전 잡은 건너뜀)
+  static async deliver(io, scheduledMessageId, scheduledAt) {
+    const scheduledMessage = await ScheduledMessage.findOneAndUpdate(
+      {
+        _id: scheduledMessageId,
+        status: 'pending',
+        ...(scheduledAt && { scheduledAt: new Date(scheduledAt) })
+      },
+      { $set: { status: 'sending' } },
+      { new: true }
+    );
+    // 취소되었거나 이미 처리되었거나 다시 예약된 예약
+    if (!scheduledMessage) return null;
+
+    const senderId = scheduledMessage.sender.toString();
+
+    try {
+      const user = await User.findById(senderId).select('name profileImage').lean();
+      if (!user) {
+        throw MessageService.createError('사용자를 찾을 수 없습니다.', 'USER_NOT_FOUND', 404);
+      }
+
+      const message = await MessageService.sendMessage(
+        io,
+        { id: senderId, name: user.name, profileImage: user.profileImage },
+        {
+          room: scheduledMessage.room,
+          type: 'text',
+          content: scheduledMessage.content,
+          format: scheduledMessage.format
+        }
+      );
+      if (!message) {
+        throw MessageService.createError('메시지 내용을 입력해주세요.', 'EMPTY_MESSAGE');
+      }
+
+      scheduledMessage.status = 'sent';
+      scheduledMessage.message = message._id;
+      scheduledMessage.sentAt = new Date();
+      await scheduledMessage.save();
+
+      io.to(senderId).emit('scheduledMessageUpdated', scheduledMessage.toObject());
+
+      await LinkPreviewService.enqueue(message);
+      // AI 응답 스트리밍이 큐 작업 슬롯을 붙잡지 않도록 기다리지 않음
+      respondToMentions(io, scheduledMessage.room, message.content, senderId)
+        .catch((error) => console.error('AI mention handling error:', error));
+
+      return message;
+    } catch (error) {
+      console.error('Scheduled message delivery error:', {
+        error,
+        scheduledMessageId
+      });
+
+      if (scheduledMessage.status === 'sending') {
+        scheduledMessage.status = 'failed';
+        scheduledMessage.error = error.message;
+        await scheduledMessage.save();
+        io.to(senderId).emit('scheduledMessageUpdated', scheduledMessage.toObject());
+      }
+      return null;
+    }
+  }
+
+  static startWorker(io) {
+    messageQueue.process(this.JOB_NAME, async (job) => {
+      await this.deliver(io, job.data.scheduledMessageId, job.data.scheduledAt);
+    });
+    console.log('Scheduled message worker started');
+  }
+}
+
+module.exports = ScheduledMessageService;
@@ -0,0 +1,92 @@
+const redisClient = require('../utils/redisClient');
+
+class TypingService {
+  static TYPING_TTL = 6; // 초
+  static TYPING_PREFIX = 'typing:';
+
+  static getTypingKey(roomId) {
+    return `${this.TYPING_PREFIX}${roomId}`;
+  }
+
+  // 사람은 userId, AI는 ai:{aiType}을 필드로 사용
+  static getTypistId(typist) {
+    return typist.isAI ? `ai:${typist.aiType}` : typist.userId;
+  }
+
+  static async start(roomId, typist) {
+    try {
+      const typingKey = this.getTypingKey(roomId);
+      const typingData = {
+        userId: typist.userId || null,
+        name: typist.name,
+        isAI: !!typist.isAI,
+        aiType: typist.aiType || null,
+        expiresAt: Date.now() + this.TYPING_TTL * 1000
+      };
+
+      await redisClient.hSet(typingKey, this.getTypistId(typist), JSON.stringify(typingData));
+      // 크래시된 클라이언트의 상태도 TTL이 지나면 자동 정리
+      await redisClient.expire(typingKey, this.TYPING_TTL);
+
+      return typingData;
+    } catch (error) {
+      console.error('Typing start error:', error);
+      return null;
+    }
+  }
+
+  static async stop(roomId, typist) {
+    try {
+      await redisClient.hDel(this.getTypingKey(roomId), this.getTypistId(typist));
+      return true;
+    } catch (error) {
+      console.error('Typing stop error:', error);
+      return false;
+    }
+  }
+
+  // 입력 중 상태를 기록하고 방에 전파 (emitter가 socket이면 본인 제외)
+  static async broadcast(emitter, roomId, typist, isTyping) {
+    if (isTyping) {
+      await this.start(roomId, typist);
+    } else {
+      await this.stop(roomId, typist);
+    }
+
+    emitter.to(roomId).emit('userTyping', {
+      roomId,
+      userId: typist.userId || null,
+      name: typist.name,
+      isAI: !!typist.isAI,
+      aiType: typist.aiType || null,
+      isTyping,
+      expiresIn: isTyping ? this.TYPING_TTL : 0
+    });
+  }
+
+  // 현재 입력 중인 사용자 목록 (만료된 항목은 정리)
+  static async getTypists(roomId) {
+    try {
+      const typingKey = this.getTypingKey(roomId);
+      const entries = await redisClient.hGetAll(typingKey);
+      const now = Date.now();
+      const typists = [];
+
+      for (const [typistId, value] of Object.entries(entries || {})) {
+        const typingData = redisClient.safeParse(value);
+        if (!typingData?.expiresAt || typingData.expiresAt <= now) {
+          await redisClient.hDel(typingKey, typistId);
+          continue;
+        }
+        typists.push(typingData);
+      }
+
+      return typists;
+    } catch (error) {
+      console.error('Get typists error:', error);
+      return [];
+    }
+  }
+}
+
+module.exports = TypingService;
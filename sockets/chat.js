@@ -3,12 +3,23 @@
 const Message = require("../models/Message");
 const Room = require("../models/Room");
 const User = require("../models/User");
-const File = require("../models/File");
 const jwt = require("jsonwebtoken");
 const { jwtSecret } = require("../config/keys");
 const redisClient = require("../utils/redisClient");
 const SessionService = require("../services/sessionService");
-const aiService = require("../services/aiService");
+const MessageService = require("../services/messageService");
+const TypingService = require("../services/typingService");
+const PresenceService = require("../services/presenceService");
+const ReadStateService = require("../services/readStateService");
+const IdempotencyService = require("../services/idempotencyService");
+const PollService = require("../services/pollService");
+const ReactionService = require("../services/reactionService");
+const LinkPreviewService = require("../services/linkPreviewService");
+const RoomService = require("../services/roomService");
+const {
+  STREAMING_SESSIONS_KEY,
+  respondToMentions,
+} = require("../services/aiChatService");
 
 const { createAdapter } = require("@socket.io/redis-adapter");
 const { Cluster } = require("ioredis");
@@ -16,7 +27,14 @@ const { Cluster } = require("ioredis");
 const BATCH_SIZE = 50;
 const MESSAGE_LOAD_TIMEOUT = 10000;
 const DUPLICATE_LOGIN_TIMEOUT = 10000;
-const STREAMING_SESSIONS_KEY = "streaming_sessions";
+const MAX_REPLAY_ROOMS = 20;
+// 네트워크 문제로 끊긴 경우: 재연결 후 replayMissedMessages로 복구하므로 참여 상태 유지
+const RECOVERABLE_DISCONNECT_REASONS = new Set([
+  "transport close",
+  "transport error",
+  "ping timeout",
+  "server shutting down",
+]);
 
 // Redis 클러스터 노드 하드코딩
 const clusterNodes = [
@@ -130,9 +148,43 @@ module.exports = function (io) {
 
     if (socket.user) socket.join(socket.user.id);
 
+    if (socket.user) {
+      PresenceService.setOnline(socket.user.id)
+        .then((presence) => presence && broadcastPresence(presence))
+        .catch((error) => console.error("Presence online error:", error));
+    }
+
+    socket.on("presenceHeartbeat", async ({ idle = false } = {}) => {
+      try {
+        if (!socket.user) return;
+        const presence = await PresenceService.heartbeat(socket.user.id, {
+          idle,
+        });
+        if (presence?.changed) await broadcastPresence(presence);
+      } catch (error) {
+        console.error("Presence heartbeat error:", error);
+      }
+    });
+
+    socket.on("setCustomStatus", async ({ customStatus } = {}) => {
+      try {
+        if (!socket.user) throw new Error("Unauthorized");
+        const presence = await PresenceService.setCustomStatus(
+          socket.user.id,
+          customStatus
+        );
+        if (presence) await broadcastPresence(presence);
+      } catch (error) {
+        console.error("Set custom status error:", error);
+        socket.emit("error", {
+          message: error.message || "상태 메시지 변경 중 오류가 발생했습니다.",
+        });
+      }
+    });
+
     socket.on(
       "fetchPreviousMessages",
-      async ({ roomId, before, limit = BATCH_SIZE }) => {
+      async ({ roomId, before, beforeSeq, limit = BATCH_SIZE }) => {
         try {
           if (!socket.user) throw new Error("Unauthorized");
           const room = await Room.findOne({
@@ -143,12 +195,12 @@ module.exports = function (io) {
 
           socket.emit("messageLoadStart");
 
-          if (before) {
-            const query = {
-              room: roomId,
-              timestamp: { $lt: new Date(before) },
-            };
-            const result = await loadMessagesDirect(query, limit);
+          // 순번 커서 또는 timestamp 커서 (같은 타임라인 순서로 조회)
+          if (Number.isInteger(beforeSeq) || before) {
+            const anchor = Number.isInteger(beforeSeq)
+              ? { seq: beforeSeq }
+              : await MessageService.resolveTimestampCursor(roomId, before);
+            const result = await loadTimelinePage(roomId, anchor, limit);
             socket.emit("previousMessagesLoaded", result);
             return;
           }
@@ -164,8 +216,7 @@ module.exports = function (io) {
           console.log(
             `[Redis] latest 캐시 미스: ${cacheKey}, DB에서 메시지 조회`
           );
-          const query = { room: roomId };
-          const result = await loadMessagesDirect(query, limit);
+          const result = await loadTimelinePage(roomId, null, limit);
           await redisClient.setEx(cacheKey, 600, result);
           socket.emit("previousMessagesLoaded", result);
         } catch (error) {
@@ -180,111 +231,211 @@ module.exports = function (io) {
       }
     );
 
-    socket.on("chatMessage", async (messageData) => {
-      try {
-        if (!socket.user) throw new Error("Unauthorized");
-        if (!messageData) throw new Error("메시지 데이터가 없습니다.");
+    socket.on(
+      "fetchThread",
+      async ({ messageId, before, limit = BATCH_SIZE }) => {
+        try {
+          if (!socket.user) throw new Error("Unauthorized");
 
-        const { room, type, content, fileData } = messageData;
-        if (!room) throw new Error("채팅방 정보가 없습니다.");
+          const parent = await Message.findOne({
+            _id: messageId,
+            isDeleted: { $ne: true },
+          })
+            .populate("sender", "name email profileImage")
+            .populate({
+              path: "file",
+              select: "filename originalname mimetype size",
+            })
+            .lean();
+          if (!parent) throw new Error("스레드를 찾을 수 없습니다.");
 
-        const chatRoom = await Room.findOne({
-          _id: room,
-          participants: socket.user.id,
-        });
-        if (!chatRoom) throw new Error("채팅방 접근 권한이 없습니다.");
+          const room = await Room.findOne({
+            _id: parent.room,
+            participants: socket.user.id,
+          });
+          if (!room) throw new Error("채팅방 접근 권한이 없습니다.");
+
+          const query = { parentMessage: parent._id };
+          if (before) query.timestamp = { $lt: new Date(before) };
+
+          const result = await loadMessagesDirect(query, limit);
+          socket.emit("threadLoaded", {
+            messageId: parent._id,
+            ...(before ? {} : { parent }),
+            ...result,
+          });
+        } catch (error) {
+          console.error("Fetch thread error:", error);
+          socket.emit("error", {
+            type: "LOAD_ERROR",
+            message: String(
+              error.message || "스레드를 불러오는 중 오류가 발생했습니다."
+            ),
+          });
+        }
+      }
+    );
+
+    socket.on("chatMessage", async (messageData, ack) => {
+      // ack 콜백이 없는 기존 클라이언트는 error 이벤트로만 실패를 전달받음
+      const respond = typeof ack === "function" ? ack : null;
+      const clientMessageId = messageData?.clientMessageId;
+      const dedupeScope = `chat:${socket.user?.id}`;
+      let dedupeStarted = false;
+      let dedupeFingerprint = null;
+      let acknowledged = false;
+
+      try {
+        if (!socket.user) {
+          throw MessageService.createError("Unauthorized", "UNAUTHORIZED", 401);
+        }
+        if (!messageData) {
+          throw MessageService.createError(
+            "메시지 데이터가 없습니다.",
+            "INVALID_MESSAGE"
+          );
+        }
+
+        const { room, content } = messageData;
+        if (!room) {
+          throw MessageService.createError(
+            "채팅방 정보가 없습니다.",
+            "INVALID_MESSAGE"
+          );
+        }
 
         const sessionValidation = await SessionService.validateSession(
           socket.user.id,
           socket.user.sessionId
         );
-        if (!sessionValidation.isValid)
-          throw new Error("세션이 만료되었습니다. 다시 로그인해주세요.");
+        if (!sessionValidation.isValid) {
+          throw MessageService.createError(
+            "세션이 만료되었습니다. 다시 로그인해주세요.",
+            "SESSION_EXPIRED",
+            401
+          );
+        }
 
         if (content && content.startsWith("/정답 ")) {
+          const chatRoom = await Room.exists({
+            _id: room,
+            participants: socket.user.id,
+          });
+          if (!chatRoom) {
+            throw MessageService.createError(
+              "채팅방 접근 권한이 없습니다.",
+              "FORBIDDEN",
+              403
+            );
+          }
+
           const answerName = content.substring("/정답 ".length).trim();
           const isCorrect = answerName === "용가리";
           io.to(room).emit("answerCheck", {
             correct: isCorrect,
             username: answerName,
           });
+          if (respond) respond({ success: true, data: { clientMessageId } });
           return;
         }
 
-        const aiMentions = extractAIMentions(content);
-        let message;
+        // 재연결 후 재전송된 메시지는 저장된 결과를 그대로 돌려줌
+        if (clientMessageId !== undefined) {
+          if (!MessageService.isValidClientMessageId(clientMessageId)) {
+            throw MessageService.createError(
+              "clientMessageId 형식이 올바르지 않습니다.",
+              "INVALID_CLIENT_MESSAGE_ID"
+            );
+          }
+
+          dedupeFingerprint = IdempotencyService.fingerprint({
+            room,
+            type: messageData.type,
+            content,
+            fileId: messageData.fileData?._id,
+            parentMessage: messageData.parentMessage,
+            replyTo: messageData.replyTo,
+            poll: messageData.poll,
+            format: messageData.format,
+          });
+          const { state, result } = await IdempotencyService.begin(
+            dedupeScope,
+            clientMessageId,
+            dedupeFingerprint
+          );
+
+          if (state === "completed") {
+            if (respond) respond({ success: true, duplicate: true, data: result });
+            return;
+          }
+          if (state === "processing") {
+            throw MessageService.createError(
+              "같은 메시지를 처리하는 중입니다.",
+              "MESSAGE_IN_PROGRESS",
+              409
+            );
+          }
+          if (state === "mismatch") {
+            throw MessageService.createError(
+              "clientMessageId가 다른 메시지에 이미 사용되었습니다.",
+              "CLIENT_MESSAGE_ID_CONFLICT",
+              422
+            );
+          }
+          dedupeStarted = true;
+        }
 
         logDebug("message received", {
-          type,
+          type: messageData.type,
           room,
           userId: socket.user.id,
-          hasFileData: !!fileData,
-          hasAIMentions: aiMentions.length,
+          hasFileData: !!messageData.fileData,
         });
 
-        switch (type) {
-          case "file":
-            if (!fileData || !fileData._id)
-              throw new Error("파일 데이터가 올바르지 않습니다.");
-            const file = await File.findOne({
-              _id: fileData._id,
-              user: socket.user.id,
-            });
-            if (!file)
-              throw new Error("파일을 찾을 수 없거나 접근 권한이 없습니다.");
-
-            message = new Message({
-              room,
-              sender: socket.user.id,
-              type: "file",
-              file: file._id,
-              content: content || "",
-              timestamp: new Date(),
-              reactions: {},
-              metadata: {
-                fileType: file.mimetype,
-                fileSize: file.size,
-                originalName: file.originalname,
-              },
-            });
-            break;
-
-          case "text":
-            const messageContent = content?.trim() || messageData.msg?.trim();
-            if (!messageContent) return;
-
-            message = new Message({
-              room,
-              sender: socket.user.id,
-              content: messageContent,
-              type: "text",
-              timestamp: new Date(),
-              reactions: {},
-            });
-            break;
+        const message = await MessageService.sendMessage(
+          io,
+          socket.user,
+          messageData
+        );
+        if (!message) {
+          throw MessageService.createError(
+            "메시지 내용을 입력해주세요.",
+            "EMPTY_MESSAGE"
+          );
+        }
 
-          default:
-            throw new Error("지원하지 않는 메시지 타입입니다.");
+        const ackData = {
+          _id: message._id,
+          clientMessageId: message.clientMessageId || null,
+          room,
+          seq: message.seq,
+          parentMessage: message.parentMessage || null,
+          timestamp: message.timestamp,
+        };
+        if (dedupeStarted) {
+          await IdempotencyService.complete(
+            dedupeScope,
+            clientMessageId,
+            dedupeFingerprint,
+            ackData
+          );
+          dedupeStarted = false;
         }
+        // AI 응답 스트리밍을 기다리지 않고 저장 결과를 먼저 알림
+        if (respond) respond({ success: true, data: ackData });
+        acknowledged = true;
 
-        // DB에 메시지 저장
-        await message.save();
-        await message.populate([
-          { path: "sender", select: "name email profileImage" },
-          { path: "file", select: "filename originalname mimetype size" },
-        ]);
+        await LinkPreviewService.enqueue(message);
 
-        io.to(room).emit("message", message);
+        await TypingService.broadcast(
+          socket,
+          room,
+          { userId: socket.user.id, name: socket.user.name },
+          false
+        );
 
         // AI 멘션 처리
-        if (aiMentions.length > 0) {
-          for (const ai of aiMentions) {
-            const query = content
-              .replace(new RegExp(`@${ai}\\b`, "g"), "")
-              .trim();
-            await handleAIResponse(io, room, ai, query);
-          }
-        }
+        await respondToMentions(io, room, message.content, socket.user.id);
 
         await SessionService.updateLastActivity(socket.user.id);
 
@@ -335,14 +486,89 @@ module.exports = function (io) {
           type: message.type,
           room,
         });
-
-        await updateCacheAfterMessage(room, message);
       } catch (error) {
         console.error("Message handling error:", error);
-        socket.emit("error", {
+        if (dedupeStarted) {
+          await IdempotencyService.release(dedupeScope, clientMessageId);
+        }
+
+        const errorPayload = {
           code: error.code || "MESSAGE_ERROR",
           message: error.message || "메시지 전송 중 오류가 발생했습니다.",
+        };
+        // 저장이 끝난 뒤(AI 응답 등)의 오류는 이미 성공으로 ack된 상태
+        if (respond && !acknowledged) {
+          respond({ success: false, error: errorPayload });
+        } else {
+          socket.emit("error", errorPayload);
+        }
+      }
+    });
+
+    // 재연결 후 방별로 마지막으로 본 메시지 이후의 변경분을 순서대로 재전송
+    // rooms: [{ roomId, lastSeq?, lastMessageId?, since? }]
+    socket.on("replayMissedMessages", async ({ rooms = [] } = {}, ack) => {
+      const respond = typeof ack === "function" ? ack : null;
+
+      try {
+        if (!socket.user) throw new Error("Unauthorized");
+
+        const results = [];
+        for (const { roomId, lastSeq, lastMessageId, since } of rooms.slice(
+          0,
+          MAX_REPLAY_ROOMS
+        )) {
+          if (!roomId) continue;
+
+          const room = await Room.exists({
+            _id: roomId,
+            participants: socket.user.id,
+          });
+          if (!room) {
+            results.push({ roomId, success: false, code: "FORBIDDEN" });
+            continue;
+          }
+
+          // 입장 메시지 없이 방 구독만 복원
+          socket.join(roomId);
+
+          const { events, truncated } = await MessageService.getReplayEvents(
+            roomId,
+            { lastSeq, lastMessageId, since }
+          );
+          for (const { event, data } of events) {
+            socket.emit(event, data);
+          }
+
+          const summary = {
+            roomId,
+            success: true,
+            count: events.length,
+            truncated,
+            activeStreams: await getActiveStreams(roomId),
+            typingUsers: await TypingService.getTypists(roomId),
+          };
+          socket.emit("replayComplete", summary);
+          results.push(summary);
+        }
+
+        logDebug("missed messages replayed", {
+          userId: socket.user.id,
+          rooms: results.map(({ roomId, count }) => ({ roomId, count })),
         });
+
+        if (respond) respond({ success: true, rooms: results });
+      } catch (error) {
+        console.error("Replay missed messages error:", error);
+        const errorPayload = {
+          code: "REPLAY_ERROR",
+          message: error.message || "놓친 메시지를 불러오는 중 오류가 발생했습니다.",
+        };
+        if (respond) {
+          respond({ success: false, error: errorPayload });
+        } else {
+          socket.emit("error", errorPayload);
+        }
       }
     });
 
@@ -360,6 +586,20 @@ module.exports = function (io) {
           return;
         }
 
+        // 비밀번호 방은 REST 입장(/api/rooms/:roomId/join)을 거친 참여자만, DM은 참여자만 입장 가능
+        const targetRoom = await Room.findById(roomId)
+          .select("creator participants moderators hasPassword kind +bans")
+          .lean();
+        if (!targetRoom) throw new Error("채팅방을 찾을 수 없습니다.");
+        RoomService.assertNotBanned(targetRoom, socket.user.id);
+        const isDirect = targetRoom.kind === "dm";
+        if (
+          (targetRoom.hasPassword || isDirect) &&
+          !Room.getMemberRole(targetRoom, socket.user.id)
+        ) {
+          throw new Error("채팅방 입장 권한이 없습니다.");
+        }
+
         if (currentRoom) {
           logDebug("leaving current room", {
             userId: socket.user.id,
@@ -367,29 +607,35 @@ module.exports = function (io) {
           });
           socket.leave(currentRoom);
 
-          const leaveMsg = {
-            room: currentRoom,
-            content: `${socket.user.name}님이 퇴장하였습니다.`,
-            type: "system",
-            timestamp: new Date(),
-          };
-          const leaveMessage = await Message.create(leaveMsg);
+          if (!(await isDirectRoom(currentRoom))) {
+            const leaveMsg = {
+              room: currentRoom,
+              content: `${socket.user.name}님이 퇴장하였습니다.`,
+              type: "system",
+              timestamp: new Date(),
+            };
+            const leaveMessage = await Message.create(leaveMsg);
 
-          io.to(currentRoom).emit("message", leaveMessage);
-          await updateCacheAfterMessage(currentRoom, leaveMessage);
+            io.to(currentRoom).emit("message", leaveMessage);
+            await MessageService.appendToLatestCache(currentRoom, leaveMessage);
+          }
           socket.to(currentRoom).emit("userLeft", {
             userId: socket.user.id,
             name: socket.user.name,
           });
         }
 
-        const room = await Room.findByIdAndUpdate(
-          roomId,
+        // 확인 이후 차단된 경우에도 참여자로 추가되지 않도록 조건부 업데이트
+        const room = await Room.findOneAndUpdate(
+          {
+            _id: roomId,
+            bans: { $not: Room.activeBanFilter(socket.user.id) },
+          },
           { $addToSet: { participants: socket.user.id } },
           { new: true, runValidators: true }
         ).populate("participants", "name email profileImage");
 
-        if (!room) throw new Error("채팅방을 찾을 수 없습니다.");
+        if (!room) throw new Error("채팅방 입장 권한이 없습니다.");
 
         socket.join(roomId);
 
@@ -399,33 +645,26 @@ module.exports = function (io) {
           type: "system",
           timestamp: new Date(),
         };
-        const joinMessage = await Message.create(joinMsg);
+        const joinMessage = isDirect ? null : await Message.create(joinMsg);
 
-        const messageLoadResult = await loadMessages(socket, roomId);
-        const { messages, hasMore, oldestTimestamp } = messageLoadResult;
+        const messageLoadResult = await loadMessages(
+          socket,
+          roomId,
+          undefined,
+          BATCH_SIZE,
+          {
+            detailedReaders: ReadStateService.isDetailedMode(
+              room.participants.length
+            ),
+          }
+        );
+        const { messages, hasMore, oldestTimestamp, oldestSeq } =
+          messageLoadResult;
 
         // 방에 대한 메시지 카운트 초기화
         roomMessageCountMap.set(roomId, 0);
 
-        const activeStreams = [];
-        const allStreamingSessions = await redisClient.hGetAll(
-          STREAMING_SESSIONS_KEY
-        );
-        for (const [messageId, sessionData] of Object.entries(
-          allStreamingSessions
-        )) {
-          const session = JSON.parse(sessionData);
-          if (session.room === roomId) {
-            activeStreams.push({
-              _id: session.messageId,
-              type: "ai",
-              aiType: session.aiType,
-              content: session.content,
-              timestamp: session.timestamp,
-              isStreaming: true,
-            });
-          }
-        }
+        const activeStreams = await getActiveStreams(roomId);
 
         socket.emit("joinRoomSuccess", {
           roomId,
@@ -433,11 +672,18 @@ module.exports = function (io) {
           messages,
           hasMore,
           oldestTimestamp,
+          oldestSeq,
           activeStreams,
+          typingUsers: await TypingService.getTypists(roomId),
+          pinnedMessages: await MessageService.getPinnedMessages(roomId),
+          allowedReactions: room.allowedReactions || [],
+          ...RoomService.getAccess(room, socket.user.id),
         });
 
-        io.to(roomId).emit("message", joinMessage);
-        await updateCacheAfterMessage(roomId, joinMessage);
+        if (joinMessage) {
+          io.to(roomId).emit("message", joinMessage);
+          await MessageService.appendToLatestCache(roomId, joinMessage);
+        }
 
         io.to(roomId).emit("participantsUpdate", room.participants);
 
@@ -450,7 +696,9 @@ module.exports = function (io) {
       } catch (error) {
         console.error("Join room error:", error);
         socket.emit("joinRoomError", {
+          code: error.code,
           message: error.message || "채팅방 입장에 실패했습니다.",
+          ...(error.ban && { ban: error.ban }),
         });
       }
     });
@@ -472,7 +720,7 @@ module.exports = function (io) {
           _id: roomId,
           participants: socket.user.id,
         })
-          .select("participants")
+          .select("participants kind")
           .lean();
         if (!room) {
           console.log(`Room ${roomId} not found or user has no access`);
@@ -481,6 +729,12 @@ module.exports = function (io) {
 
         socket.leave(roomId);
 
+        // DM은 화면만 벗어나고 참여자로 남음
+        if (room.kind === "dm") {
+          roomMessageCountMap.delete(roomId);
+          return;
+        }
+
         const leaveMessage = await Message.create({
           room: roomId,
           content: `${socket.user.name}님이 퇴장하였습니다.`,
@@ -489,13 +743,10 @@ module.exports = function (io) {
         });
 
         io.to(roomId).emit("message", leaveMessage);
-        await updateCacheAfterMessage(roomId, leaveMessage);
+        await MessageService.appendToLatestCache(roomId, leaveMessage);
 
-        await Room.findByIdAndUpdate(
-          roomId,
-          { $pull: { participants: socket.user.id } },
-          { new: true, runValidators: true }
-        ).populate("participants", "name email profileImage");
+        // 직접 나간 경우에만 운영자 역할도 함께 해제
+        await RoomService.removeMember(roomId, socket.user.id);
 
         // 해당 룸 카운트 초기화
         roomMessageCountMap.delete(roomId);
@@ -509,31 +760,39 @@ module.exports = function (io) {
       }
     });
 
-    socket.on("disconnect", async (reason) => {
+    // disconnect 시점에는 socket.rooms가 비어 있으므로 입력 중 상태 정리와 퇴장 처리를 여기서 수행
+    socket.on("disconnecting", async (reason) => {
       if (!socket.user) return;
+      const roomIds = Array.from(socket.rooms).filter(
+        (r) => r !== socket.id && r !== socket.user.id
+      );
+
       try {
-        const allStreamingSessions = await redisClient.hGetAll(
-          STREAMING_SESSIONS_KEY
-        );
-        for (const [messageId, sessionData] of Object.entries(
-          allStreamingSessions
-        )) {
-          const session = JSON.parse(sessionData);
-          if (session.userId === socket.user.id) {
-            await redisClient.hDel(STREAMING_SESSIONS_KEY, messageId);
-          }
+        for (const roomId of roomIds) {
+          await TypingService.broadcast(
+            socket,
+            roomId,
+            { userId: socket.user.id, name: socket.user.name },
+            false
+          );
         }
+      } catch (error) {
+        console.error("Typing cleanup error:", error);
+      }
 
-        const currentRooms = Array.from(socket.rooms).filter(
-          (r) => r !== socket.id
-        );
-        const roomId = currentRooms.length > 0 ? currentRooms[0] : null;
+      if (
+        reason === "client namespace disconnect" ||
+        reason === "duplicate_login" ||
+        RECOVERABLE_DISCONNECT_REASONS.has(reason)
+      ) {
+        return;
+      }
+
+      for (const roomId of roomIds) {
+        try {
+          // DM은 연결이 끊겨도 참여자로 남음
+          if (await isDirectRoom(roomId)) continue;
 
-        if (
-          roomId &&
-          reason !== "client namespace disconnect" &&
-          reason !== "duplicate_login"
-        ) {
           const leaveMessage = await Message.create({
             room: roomId,
             content: `${socket.user.name}님이 연결이 끊어졌습니다.`,
@@ -542,23 +801,48 @@ module.exports = function (io) {
           });
 
           io.to(roomId).emit("message", leaveMessage);
-          await updateCacheAfterMessage(roomId, leaveMessage);
+          await MessageService.appendToLatestCache(roomId, leaveMessage);
 
-          await Room.findByIdAndUpdate(
-            roomId,
-            { $pull: { participants: socket.user.id } },
-            { new: true, runValidators: true }
-          ).populate("participants", "name email profileImage");
+          // 연결 종료로는 운영자 역할을 해제하지 않음 (다시 입장하면 유지)
+          await Room.updateOne(
+            { _id: roomId },
+            { $pull: { participants: socket.user.id } }
+          );
 
           // 해당 룸 카운트 초기화
           roomMessageCountMap.delete(roomId);
+        } catch (error) {
+          console.error("Disconnect leave error:", { error, roomId });
+        }
+      }
+    });
+
+    socket.on("disconnect", async (reason) => {
+      if (!socket.user) return;
+      try {
+        const allStreamingSessions = await redisClient.hGetAll(
+          STREAMING_SESSIONS_KEY
+        );
+        for (const [messageId, sessionData] of Object.entries(
+          allStreamingSessions
+        )) {
+          const session = JSON.parse(sessionData);
+          if (session.userId === socket.user.id) {
+            await redisClient.hDel(STREAMING_SESSIONS_KEY, messageId);
+          }
+        }
+
+        // 같은 사용자의 다른 소켓이 남아 있지 않을 때만 offline 처리
+        const remainingSockets = await io.in(socket.user.id).fetchSockets();
+        if (remainingSockets.length === 0) {
+          const presence = await PresenceService.setOffline(socket.user.id);
+          if (presence) await broadcastPresence(presence);
         }
 
         logDebug("user disconnected", {
           reason,
           userId: socket.user.id,
           socketId: socket.id,
-          lastRoom: roomId,
         });
       } catch (error) {
         console.error("Disconnect handling error:", error);
@@ -590,14 +874,19 @@ module.exports = function (io) {
         if (!socket.user) throw new Error("Unauthorized");
         if (!Array.isArray(messageIds) || messageIds.length === 0) return;
 
-        await Message.updateMany(
-          {
-            _id: { $in: messageIds },
-            room: roomId,
-            "readers.userId": { $ne: socket.user.id },
-          },
-          { $push: { readers: { userId: socket.user.id, readAt: new Date() } } }
-        );
+        const room = await Room.findOne({
+          _id: roomId,
+          participants: socket.user.id,
+        })
+          .select("participants")
+          .lean();
+        if (!room) throw new Error("채팅방 접근 권한이 없습니다.");
+
+        await markRoomAsRead(socket.user.id, roomId, messageIds, {
+          detailedReaders: ReadStateService.isDetailedMode(
+            room.participants.length
+          ),
+        });
 
         socket
           .to(roomId)
@@ -613,56 +902,246 @@ module.exports = function (io) {
     socket.on("messageReaction", async ({ messageId, reaction, type }) => {
       try {
         if (!socket.user) throw new Error("Unauthorized");
-        const message = await Message.findById(messageId);
-        if (!message) throw new Error("메시지를 찾을 수 없습니다.");
-
-        if (type === "add") {
-          await message.addReaction(reaction, socket.user.id);
-        } else if (type === "remove") {
-          await message.removeReaction(reaction, socket.user.id);
-        }
 
-        io.to(message.room).emit("messageReactionUpdate", {
+        const update = await ReactionService.react(
           messageId,
-          reactions: message.reactions,
+          socket.user.id,
+          reaction,
+          type
+        );
+
+        io.to(update.room).emit("messageReactionUpdate", {
+          messageId: update.messageId,
+          reactions: update.reactions,
         });
       } catch (error) {
         console.error("Message reaction error:", error);
         socket.emit("error", {
+          code: error.code || "REACTION_ERROR",
           message: error.message || "리액션 처리 중 오류가 발생했습니다.",
         });
       }
     });
 
-    async function updateCacheAfterMessage(roomId, msg) {
-      const cacheKey = `chat:${roomId}:latest`;
-      const cachedData = await redisClient.get(cacheKey);
-      let messagesArr = [];
-      if (cachedData && cachedData.messages) {
-        messagesArr = cachedData.messages;
-      } else if (cachedData) {
-        messagesArr = [];
+    // 투표 현황과 내 선택 조회
+    socket.on("fetchPoll", async ({ messageId } = {}) => {
+      try {
+        if (!socket.user) throw new Error("Unauthorized");
+        const { tally, myVotes } = await PollService.getPoll(
+          messageId,
+          socket.user.id
+        );
+        socket.emit("pollLoaded", { ...tally, myVotes });
+      } catch (error) {
+        console.error("Fetch poll error:", error);
+        socket.emit("error", {
+          code: error.code || "POLL_ERROR",
+          message: error.message || "투표를 불러오는 중 오류가 발생했습니다.",
+        });
       }
-      messagesArr.push(msg.toObject ? msg.toObject() : msg);
+    });
+
+    // 투표 (optionIds로 내 선택을 교체, 빈 배열이면 취소)
+    socket.on("votePoll", async ({ messageId, optionIds } = {}, ack) => {
+      const respond = typeof ack === "function" ? ack : null;
+
+      try {
+        if (!socket.user) throw new Error("Unauthorized");
+        const { tally, myVotes } = await PollService.vote(
+          messageId,
+          socket.user.id,
+          optionIds
+        );
 
-      if (messagesArr.length > BATCH_SIZE) {
-        messagesArr.splice(0, messagesArr.length - BATCH_SIZE);
+        io.to(tally.room).emit("pollUpdated", tally);
+        if (respond) respond({ success: true, data: { ...tally, myVotes } });
+      } catch (error) {
+        console.error("Vote poll error:", error);
+        const errorPayload = {
+          code: error.code || "POLL_ERROR",
+          message: error.message || "투표 처리 중 오류가 발생했습니다.",
+        };
+        if (respond) {
+          respond({ success: false, error: errorPayload });
+        } else {
+          socket.emit("error", errorPayload);
+        }
       }
+    });
 
-      const hasMore = messagesArr.length === BATCH_SIZE;
-      const oldestTimestamp = messagesArr[0]?.timestamp || null;
-      const updatedResult = {
-        messages: messagesArr,
-        hasMore,
-        oldestTimestamp,
-      };
+    socket.on("closePoll", async ({ messageId } = {}, ack) => {
+      const respond = typeof ack === "function" ? ack : null;
 
-      await redisClient.setEx(cacheKey, 600, updatedResult);
-      console.log(`[Redis] latest 캐시 업데이트: ${cacheKey}`);
-    }
+      try {
+        if (!socket.user) throw new Error("Unauthorized");
+        const tally = await PollService.close(messageId, socket.user.id);
+
+        io.to(tally.room).emit("pollUpdated", tally);
+        if (respond) respond({ success: true, data: tally });
+
+        logDebug("poll closed", {
+          messageId: tally.messageId,
+          room: tally.room,
+          userId: socket.user.id,
+        });
+      } catch (error) {
+        console.error("Close poll error:", error);
+        const errorPayload = {
+          code: error.code || "POLL_ERROR",
+          message: error.message || "투표 마감 중 오류가 발생했습니다.",
+        };
+        if (respond) {
+          respond({ success: false, error: errorPayload });
+        } else {
+          socket.emit("error", errorPayload);
+        }
+      }
+    });
+
+    socket.on("typingStart", async ({ roomId } = {}) => {
+      try {
+        if (!socket.user || !roomId || !socket.rooms.has(roomId)) return;
+        await TypingService.broadcast(
+          socket,
+          roomId,
+          { userId: socket.user.id, name: socket.user.name },
+          true
+        );
+      } catch (error) {
+        console.error("Typing start error:", error);
+      }
+    });
+
+    socket.on("typingStop", async ({ roomId } = {}) => {
+      try {
+        if (!socket.user || !roomId || !socket.rooms.has(roomId)) return;
+        await TypingService.broadcast(
+          socket,
+          roomId,
+          { userId: socket.user.id, name: socket.user.name },
+          false
+        );
+      } catch (error) {
+        console.error("Typing stop error:", error);
+      }
+    });
+
+    socket.on("editMessage", async ({ messageId, content }) => {
+      try {
+        if (!socket.user) throw new Error("Unauthorized");
+
+        const newContent = content?.trim();
+        if (!messageId || !newContent)
+          throw new Error("수정할 메시지 정보가 올바르지 않습니다.");
+
+        const message = await Message.findById(messageId).select(
+          "+editHistory"
+        );
+        if (!message || message.isDeleted)
+          throw new Error("메시지를 찾을 수 없습니다.");
+        if (message.type !== "text")
+          throw new Error("텍스트 메시지만 수정할 수 있습니다.");
+        if (message.sender?.toString() !== socket.user.id)
+          throw new Error("메시지를 수정할 권한이 없습니다.");
+        if (message.content === newContent) return;
+
+        await message.editContent(newContent);
+
+        const update = {
+          _id: message._id,
+          room: message.room,
+          content: message.content,
+          format: message.format,
+          html: message.html,
+          isEdited: message.isEdited,
+          editedAt: message.editedAt,
+        };
+
+        io.to(message.room).emit("messageUpdated", update);
+
+        await MessageService.patchLatestCache(
+          message.room,
+          message._id,
+          update
+        );
+        await LinkPreviewService.enqueue(message);
+
+        logDebug("message edited", {
+          messageId: message._id,
+          room: message.room,
+          userId: socket.user.id,
+          editCount: message.editHistory.length,
+        });
+      } catch (error) {
+        console.error("Edit message error:", error);
+        socket.emit("error", {
+          code: "EDIT_ERROR",
+          message: error.message || "메시지 수정 중 오류가 발생했습니다.",
+        });
+      }
+    });
+
+    socket.on("pinMessage", async ({ roomId, messageId, pinned = true }) => {
+      try {
+        if (!socket.user) throw new Error("Unauthorized");
+        if (!roomId || !messageId)
+          throw new Error("고정할 메시지 정보가 올바르지 않습니다.");
+
+        const pins = await MessageService.setPinned(
+          roomId,
+          messageId,
+          socket.user.id,
+          pinned
+        );
+
+        io.to(roomId).emit("pinsUpdated", { roomId, pins });
+      } catch (error) {
+        console.error("Pin message error:", error);
+        socket.emit("error", {
+          code: error.code || "PIN_ERROR",
+          message: error.message || "메시지 고정 중 오류가 발생했습니다.",
+        });
+      }
+    });
+
+    socket.on("deleteMessage", async ({ messageId, deleteFile = false }) => {
+      try {
+        if (!socket.user) throw new Error("Unauthorized");
+
+        const tombstone = await MessageService.deleteMessage(
+          messageId,
+          socket.user.id,
+          { deleteFile }
+        );
+
+        io.to(tombstone.room).emit("messageDeleted", tombstone);
+        if (tombstone.thread) {
+          io.to(tombstone.room).emit("threadUpdated", tombstone.thread);
+        }
+
+        logDebug("message deleted", {
+          messageId: tombstone._id,
+          room: tombstone.room,
+          userId: socket.user.id,
+          deleteFile,
+        });
+      } catch (error) {
+        console.error("Delete message error:", error);
+        socket.emit("error", {
+          code: error.code || "DELETE_ERROR",
+          message: error.message || "메시지 삭제 중 오류가 발생했습니다.",
+        });
+      }
+    });
   });
 
-  async function loadMessages(socket, roomId, before, limit = BATCH_SIZE) {
+  async function loadMessages(
+    socket,
+    roomId,
+    before,
+    limit = BATCH_SIZE,
+    { detailedReaders = false } = {}
+  ) {
     const timeoutPromise = new Promise((_, reject) => {
       setTimeout(
         () => reject(new Error("Message loading timed out")),
@@ -671,45 +1150,33 @@ module.exports = function (io) {
     });
 
     try {
-      const query = { room: roomId };
-      if (before) query.timestamp = { $lt: new Date(before) };
+      const anchor = before
+        ? await MessageService.resolveTimestampCursor(roomId, before)
+        : null;
 
       const messages = await Promise.race([
-        Message.find(query)
-          .populate("sender", "name email profileImage")
-          .populate({
-            path: "file",
-            select: "filename originalname mimetype size",
-          })
-          .sort({ timestamp: -1 })
-          .limit(limit + 1)
-          .lean(),
+        MessageService.findTimelinePage(
+          { room: roomId },
+          { anchor, limit: limit + 1 }
+        ),
         timeoutPromise,
       ]);
 
       const hasMore = messages.length > limit;
-      const resultMessages = messages.slice(0, limit);
-      const sortedMessages = resultMessages.sort(
-        (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
-      );
+      const sortedMessages = messages.slice(0, limit).reverse();
 
       if (sortedMessages.length > 0 && socket.user) {
         const messageIds = sortedMessages.map((msg) => msg._id);
-        Message.updateMany(
-          {
-            _id: { $in: messageIds },
-            "readers.userId": { $ne: socket.user.id },
-          },
-          { $push: { readers: { userId: socket.user.id, readAt: new Date() } } }
-        )
-          .exec()
-          .catch((error) => console.error("Read status update error:", error));
+        markRoomAsRead(socket.user.id, roomId, messageIds, {
+          detailedReaders,
+        }).catch((error) => console.error("Read status update error:", error));
       }
 
       return {
         messages: sortedMessages,
         hasMore,
         oldestTimestamp: sortedMessages[0]?.timestamp || null,
+        oldestSeq: sortedMessages[0]?.seq ?? null,
       };
     } catch (error) {
       console.error("Load messages error:", error);
@@ -717,6 +1184,31 @@ module.exports = function (io) {
     }
   }
 
+  // 메인 타임라인 페이지 (anchor: { seq } 또는 { timestamp }, 없으면 최신부터)
+  async function loadTimelinePage(roomId, anchor, limit = BATCH_SIZE) {
+    const timeoutPromise = new Promise((_, reject) => {
+      setTimeout(
+        () => reject(new Error("Message loading timed out")),
+        MESSAGE_LOAD_TIMEOUT
+      );
+    });
+
+    const messages = await Promise.race([
+      MessageService.findTimelinePage(
+        { room: roomId },
+        { anchor, limit: limit + 1 }
+      ),
+      timeoutPromise,
+    ]);
+
+    const hasMore = messages.length > limit;
+    const sortedMessages = messages.slice(0, limit).reverse();
+    const oldestTimestamp = sortedMessages[0]?.timestamp || null;
+    const oldestSeq = sortedMessages[0]?.seq ?? null;
+
+    return { messages: sortedMessages, hasMore, oldestTimestamp, oldestSeq };
+  }
+
   async function loadMessagesDirect(query, limit = BATCH_SIZE) {
     const timeoutPromise = new Promise((_, reject) => {
       setTimeout(
@@ -726,12 +1218,13 @@ module.exports = function (io) {
     });
 
     const messages = await Promise.race([
-      Message.find(query)
+      Message.find({ parentMessage: null, ...query, isDeleted: { $ne: true } })
         .populate("sender", "name email profileImage")
         .populate({
           path: "file",
           select: "filename originalname mimetype size",
         })
+        .populate("replyTo.sender", "name profileImage")
         .sort({ timestamp: -1 })
         .limit(limit + 1)
         .lean(),
@@ -739,195 +1232,71 @@ module.exports = function (io) {
     ]);
 
     const hasMore = messages.length > limit;
-    const resultMessages = messages.slice(0, limit);
-    const sortedMessages = resultMessages.sort(
-      (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
-    );
+    const sortedMessages = messages.slice(0, limit).reverse();
     const oldestTimestamp = sortedMessages[0]?.timestamp || null;
+    const oldestSeq = sortedMessages[0]?.seq ?? null;
 
-    return { messages: sortedMessages, hasMore, oldestTimestamp };
+    return { messages: sortedMessages, hasMore, oldestTimestamp, oldestSeq };
   }
 
-  function extractAIMentions(content) {
-    if (!content) return [];
-    const aiTypes = [
-      "wayneAI",
-      "consultingAI",
-      "spellingAI",
-      "refuteAI",
-      "agentB",
-      "hankangAI",
-    ];
-    const mentions = new Set();
-    const mentionRegex =
-      /@(wayneAI|consultingAI|spellingAI|refuteAI|agentB|hankangAI)\b/g;
-    let match;
-    while ((match = mentionRegex.exec(content)) !== null) {
-      if (aiTypes.includes(match[1])) mentions.add(match[1]);
-    }
-    return Array.from(mentions);
+  // DM은 참여자가 고정되어 있어 입장/퇴장 시스템 메시지와 참여자 제거를 생략
+  async function isDirectRoom(roomId) {
+    return !!(await Room.exists({ _id: roomId, kind: "dm" }).catch(() => null));
   }
 
-  async function handleAIResponse(io, room, aiName, query) {
-    const messageId = `${aiName}-${Date.now()}`;
-    let accumulatedContent = "";
-    const timestamp = new Date();
-
-    const sessionData = {
-      room,
-      aiType: aiName,
-      content: "",
-      messageId,
-      timestamp,
-      lastUpdate: Date.now(),
-      reactions: {},
-    };
-
-    await redisClient.hSet(
-      STREAMING_SESSIONS_KEY,
-      messageId,
-      JSON.stringify(sessionData)
+  // 방에서 진행 중인 AI 스트리밍 세션 (중간에 들어온 사용자에게 현재까지의 내용 전달)
+  async function getActiveStreams(roomId) {
+    const activeStreams = [];
+    const allStreamingSessions = await redisClient.hGetAll(
+      STREAMING_SESSIONS_KEY
     );
+    for (const [messageId, sessionData] of Object.entries(
+      allStreamingSessions || {}
+    )) {
+      const session = JSON.parse(sessionData);
+      if (session.room === roomId) {
+        activeStreams.push({
+          _id: session.messageId,
+          type: "ai",
+          aiType: session.aiType,
+          content: session.content,
+          timestamp: session.timestamp,
+          isStreaming: true,
+        });
+      }
+    }
+    return activeStreams;
+  }
 
-    logDebug("AI response started", { messageId, aiType: aiName, room, query });
-
-    io.to(room).emit("aiMessageStart", {
-      messageId,
-      aiType: aiName,
-      timestamp,
-    });
-
-    try {
-      await aiService.generateResponse(query, aiName, {
-        onStart: () =>
-          logDebug("AI generation started", { messageId, aiType: aiName }),
-        onChunk: async (chunk) => {
-          accumulatedContent += chunk.currentChunk || "";
-          const updatedSession = {
-            ...sessionData,
-            content: accumulatedContent,
-            lastUpdate: Date.now(),
-          };
-          await redisClient.hSet(
-            STREAMING_SESSIONS_KEY,
-            messageId,
-            JSON.stringify(updatedSession)
-          );
-
-          io.to(room).emit("aiMessageChunk", {
-            messageId,
-            currentChunk: chunk.currentChunk,
-            fullContent: accumulatedContent,
-            isCodeBlock: chunk.isCodeBlock,
-            timestamp: new Date(),
-            aiType: aiName,
-            isComplete: false,
-          });
-        },
-        onComplete: async (finalContent) => {
-          await redisClient.hDel(STREAMING_SESSIONS_KEY, messageId);
-
-          const aiMessage = new Message({
-            room,
-            content: finalContent.content,
-            type: "ai",
-            aiType: aiName,
-            timestamp: new Date(),
-            reactions: {},
-            metadata: {
-              query,
-              generationTime: Date.now() - timestamp,
-              completionTokens: finalContent.completionTokens,
-              totalTokens: finalContent.totalTokens,
-            },
-          });
-
-          await aiMessage.save();
-          await aiMessage.populate([
-            { path: "sender", select: "name email profileImage" },
-            { path: "file", select: "filename originalname mimetype size" },
-          ]);
-
-          io.to(room).emit("aiMessageComplete", {
-            messageId,
-            _id: aiMessage._id,
-            content: finalContent.content,
-            aiType: aiName,
-            timestamp: new Date(),
-            isComplete: true,
-            query,
-            reactions: {},
-          });
-
-          await updateCacheAfterMessage(room, aiMessage);
-
-          logDebug("AI response completed", {
-            messageId,
-            aiType: aiName,
-            contentLength: finalContent.content.length,
-            generationTime: Date.now() - timestamp,
-          });
-        },
-        onError: async (error) => {
-          await redisClient.hDel(STREAMING_SESSIONS_KEY, messageId);
-          console.error("AI response error:", error);
-
-          io.to(room).emit("aiMessageError", {
-            messageId,
-            error: error.message || "AI 응답 생성 중 오류가 발생했습니다.",
-            aiType: aiName,
-          });
-
-          logDebug("AI response error", {
-            messageId,
-            aiType: aiName,
-            error: error.message,
-          });
+  // 읽음 커서 전진 (소규모 방은 메시지별 readers도 기록)
+  async function markRoomAsRead(userId, roomId, messageIds, { detailedReaders }) {
+    if (detailedReaders) {
+      await Message.updateMany(
+        {
+          _id: { $in: messageIds },
+          room: roomId,
+          "readers.userId": { $ne: userId },
         },
-      });
-    } catch (error) {
-      await redisClient.hDel(STREAMING_SESSIONS_KEY, messageId);
-      console.error("AI service error:", error);
-
-      io.to(room).emit("aiMessageError", {
-        messageId,
-        error: error.message || "AI 서비스 오류가 발생했습니다.",
-        aiType: aiName,
-      });
-
-      logDebug("AI service error", {
-        messageId,
-        aiType: aiName,
-        error: error.message,
-      });
+        { $push: { readers: { userId, readAt: new Date() } } }
+      );
     }
 
-    async function updateCacheAfterMessage(roomId, msg) {
-      const cacheKey = `chat:${roomId}:latest`;
-      const cachedData = await redisClient.get(cacheKey);
-      let messagesArr = [];
-      if (cachedData && cachedData.messages) {
-        messagesArr = cachedData.messages;
-      } else if (cachedData) {
-        messagesArr = [];
-      }
-      messagesArr.push(msg.toObject ? msg.toObject() : msg);
-
-      if (messagesArr.length > BATCH_SIZE) {
-        messagesArr.splice(0, messagesArr.length - BATCH_SIZE);
-      }
-
-      const hasMore = messagesArr.length === BATCH_SIZE;
-      const oldestTimestamp = messagesArr[0]?.timestamp || null;
-      const updatedResult = {
-        messages: messagesArr,
-        hasMore,
-        oldestTimestamp,
-      };
+    const readState = await ReadStateService.advanceCursor(
+      userId,
+      roomId,
+      messageIds
+    );
+    if (readState) io.to(userId).emit("roomUnreadUpdate", readState);
+    return readState;
+  }
 
-      await redisClient.setEx(cacheKey, 600, updatedResult);
-      console.log(`[Redis] latest 캐시 업데이트: ${cacheKey}`);
-    }
+  // 사용자와 같은 방에 있는 사람들에게 presence 변경을 알림
+  async function broadcastPresence({ changed, ...presence }) {
+    const rooms = await Room.find({ participants: presence.userId })
+      .select("_id")
+      .lean();
+    const roomIds = rooms.map((room) => room._id.toString());
+    if (roomIds.length > 0) io.to(roomIds).emit("presenceUpdate", presence);
   }
 
   return io;
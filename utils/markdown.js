@@ -0,0 +1,146 @@
+// backend/utils/markdown.js
+const { Marked } = require('marked');
+
+// 렌더링 결과에 허용되는 태그와 속성
+const ALLOWED_TAGS = {
+  p: [], br: [], hr: [],
+  strong: [], em: [], del: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  blockquote: [],
+  ul: [], ol: ['start'], li: [],
+  input: ['type', 'checked', 'disabled'],
+  pre: [], code: ['class', 'data-language'],
+  a: ['href', 'title', 'rel', 'target'],
+  table: [], thead: [], tbody: [], tr: [],
+  th: ['align'], td: ['align']
+};
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const LANGUAGE_ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+  yml: 'yaml',
+  md: 'markdown',
+  'c++': 'cpp',
+  cs: 'csharp',
+  kt: 'kotlin',
+  rb: 'ruby'
+};
+
+// 언어 표시가 없는 코드 블록의 간단한 언어 추정
+const LANGUAGE_PATTERNS = [
+  ['json', /^\s*[{[][\s\S]*[}\]]\s*$/],
+  ['html', /^\s*<(!doctype|html|div|span|head|body)\b/i],
+  ['python', /^\s*(def |class \w+[:(]|import \w+|from \w+ import)|print\(/m],
+  ['java', /\bpublic\s+(static\s+)?(class|void)\b|System\.out\.println/],
+  ['typescript', /\b(interface|type)\s+\w+\s*[={]|:\s*(string|number|boolean)\b/],
+  ['javascript', /\b(const|let|var)\s+\w+\s*=|=>|function\s*\w*\(|console\.log|require\(/],
+  ['sql', /^\s*(select|insert|update|delete|create table)\b/im],
+  ['bash', /^\s*(\$ |npm |yarn |git |cd |sudo |apt |curl )/m],
+  ['css', /^\s*[.#]?[\w-]+\s*\{[^}]*:[^}]*\}/m]
+];
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function normalizeLanguage(lang) {
+  const name = (lang || '').trim().split(/\s+/)[0].toLowerCase();
+  if (!/^[a-z0-9_+#-]{1,30}$/.test(name)) return null;
+  return LANGUAGE_ALIASES[name] || name;
+}
+
+function detectLanguage(code) {
+  const match = LANGUAGE_PATTERNS.find(([, pattern]) => pattern.test(code));
+  return match ? match[0] : null;
+}
+
+function safeUrl(href) {
+  try {
+    const url = new URL(href);
+    return SAFE_PROTOCOLS.includes(url.protocol) ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+const markdown = new Marked({ gfm: true, breaks: true });
+
+markdown.use({
+  renderer: {
+    // 원본 HTML은 태그로 해석하지 않고 텍스트로 표시
+    html({ text }) {
+      return escapeHtml(text);
+    },
+    code({ text, lang }) {
+      const language = normalizeLanguage(lang) || detectLanguage(text);
+      const attrs = language
+        ? ` class="language-${escapeHtml(language)}" data-language="${escapeHtml(language)}"`
+        : '';
+      return `<pre><code${attrs}>${escapeHtml(text.replace(/\n$/, ''))}</code></pre>\n`;
+    },
+    link({ href, title, tokens }) {
+      const text = this.parser.parseInline(tokens);
+      const url = safeUrl(href);
+      if (!url) return text;
+      // title은 marked가 이미 이스케이프해서 전달함
+      const titleAttr = title ? ` title="${title}"` : '';
+      return `<a href="${escapeHtml(url)}"${titleAttr} rel="noopener noreferrer nofollow" target="_blank">${text}</a>`;
+    },
+    // 이미지는 추적 픽셀 등을 막기 위해 링크로만 표시 (대체 텍스트는 marked가 이미 이스케이프함)
+    image({ href, text }) {
+      const url = safeUrl(href);
+      const label = text || escapeHtml(href);
+      return url
+        ? `<a href="${escapeHtml(url)}" rel="noopener noreferrer nofollow" target="_blank">${label}</a>`
+        : label;
+    }
+  }
+});
+
+// 허용 목록 밖의 태그/속성 제거 (렌더러를 우회한 출력에 대한 방어)
+function sanitizeHtml(html) {
+  return html.replace(/<(\/?)([a-zA-Z][a-zA-Z0-9]*)([^>]*)>/g, (tag, closing, name, rawAttrs) => {
+    const tagName = name.toLowerCase();
+    const allowedAttrs = ALLOWED_TAGS[tagName];
+    if (!allowedAttrs) return '';
+    if (closing) return `</${tagName}>`;
+
+    const attrs = [];
+    for (const [, attrName, value] of rawAttrs.matchAll(/([a-zA-Z-]+)(?:="([^"]*)")?/g)) {
+      const attr = attrName.toLowerCase();
+      if (!allowedAttrs.includes(attr)) continue;
+      if (attr === 'href' && !safeUrl(value?.replace(/&amp;/g, '&'))) continue;
+      if (attr === 'class' && !/^language-[a-z0-9_+#-]+$/.test(value || '')) continue;
+      if (tagName === 'input' && attr === 'type' && value !== 'checkbox') continue;
+      attrs.push(value === undefined ? attr : `${attr}="${value}"`);
+    }
+
+    if (tagName === 'input' && !attrs.includes('type="checkbox"')) return '';
+    return `<${tagName}${attrs.length ? ` ${attrs.join(' ')}` : ''}>`;
+  });
+}
+
+function renderMarkdown(content) {
+  if (!content) return '';
+  return sanitizeHtml(markdown.parse(content, { async: false }));
+}
+
+module.exports = {
+  ALLOWED_TAGS,
+  renderMarkdown,
+  sanitizeHtml,
+  detectLanguage
+};
@@ -0,0 +1,35 @@
+// backend/utils/queue.js
+const Queue = require('bull');
+const Redis = require('ioredis');
+
+// Redis 클러스터 노드 정보 (redisClient, Socket.IO 어댑터와 동일)
+const clusterNodes = [
+  { host: '43.200.132.202', port: 6379 },
+  { host: '43.202.183.198', port: 6379 },
+  { host: '54.180.154.20', port: 6379 },
+  { host: '3.37.73.237', port: 6379 },
+  { host: '43.203.14.223', port: 6379 },
+  { host: '3.37.123.80', port: 6379 },
+];
+
+// Bull은 블로킹/구독 연결에 재시도 제한과 ready check가 없어야 함
+const createClient = () =>
+  new Redis.Cluster(clusterNodes, {
+    scaleReads: 'master',
+    redisOptions: {
+      maxRetriesPerRequest: null,
+      enableReadyCheck: false,
+    },
+  });
+
+// 클러스터에서는 한 큐의 키가 같은 슬롯에 있어야 하므로 해시 태그 prefix 사용
+const messageQueue = new Queue('messageQueue', {
+  prefix: '{bull}',
+  createClient,
+});
+
+messageQueue.on('error', (error) => {
+  console.error('Message queue error:', error);
+});
+
+module.exports = messageQueue;
@@ -166,6 +166,22 @@ class RedisClient {
     }
   }
 
+  // 키가 없을 때만 설정 (락/중복 방지용), 설정되면 true 반환
+  async setNX(key, value, seconds) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+
+      const stringValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      const result = await this.client.set(key, stringValue, 'EX', seconds, 'NX');
+      return result === 'OK';
+    } catch (error) {
+      console.error('Redis cluster setNX error:', error);
+      throw error;
+    }
+  }
+
   async del(key) {
     try {
       if (!this.isConnected) {